@@ -0,0 +1,5 @@
+// Vercel serverless function for lead attachment downloads (basic / token auth)
+
+import { createAdminEndpoints, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createAdminEndpoints().attachment, { method: 'GET' });
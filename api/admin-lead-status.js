@@ -0,0 +1,5 @@
+// Vercel serverless function for lead status changes from the inbox (basic / token auth)
+
+import { createAdminEndpoints, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createAdminEndpoints().status);
@@ -0,0 +1,5 @@
+// Vercel serverless function for the lead inbox list and detail view (basic / token auth)
+
+import { createAdminEndpoints, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createAdminEndpoints().leads, { method: 'GET' });
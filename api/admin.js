@@ -0,0 +1,5 @@
+// Vercel serverless function for the staff lead inbox page (basic / token auth)
+
+import { createAdminEndpoints, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createAdminEndpoints().page, { method: 'GET' });
@@ -0,0 +1,5 @@
+// Vercel serverless function for the charter enquiry form (#charter-form)
+
+import { FORM_REDIRECTS, createCharterPipeline, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createCharterPipeline(), { redirects: FORM_REDIRECTS });
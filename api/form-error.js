@@ -0,0 +1,5 @@
+// Vercel serverless function rendering the error page for form posts without JavaScript
+
+import { createFormErrorPage, createVercelHandler, loadConfig } from '../lib/leads/index.js';
+
+export default createVercelHandler(createFormErrorPage(loadConfig()), { method: 'GET' });
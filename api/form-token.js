@@ -0,0 +1,5 @@
+// Vercel serverless function issuing the signed time-trap token for lead forms
+
+import { createFormTokenEndpoint, createVercelHandler, loadConfig } from '../lib/leads/index.js';
+
+export default createVercelHandler(createFormTokenEndpoint(loadConfig()), { method: 'GET' });
@@ -0,0 +1,5 @@
+// Vercel serverless function behind the emailed GDPR verification link
+
+import { createPrivacyConfirmEndpoint, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createPrivacyConfirmEndpoint(), { method: ['GET', 'POST'] });
@@ -0,0 +1,5 @@
+// Vercel serverless function accepting GDPR export / erasure requests
+
+import { createPrivacyRequestEndpoint, createVercelHandler } from '../lib/leads/index.js';
+
+export default createVercelHandler(createPrivacyRequestEndpoint());
@@ -0,0 +1,266 @@
+/**
+ * Local runtime for the serverless functions
+ * A connect-style middleware that runs the real handlers from `api/` (Vercel)
+ * and `netlify/functions/` (Netlify) without a hosting CLI or login. Requests
+ * are translated into the shapes the platforms pass in: Vercel's augmented
+ * `req` / `res` and Netlify's `event` / `context`. Used by the Vite dev server
+ * (vite.config.js) and by scripts/dev-functions.js.
+ *
+ * Routes:
+ *   /.netlify/functions/<name>  → netlify/functions/<name>.js `handler`
+ *   /api/<name>                 → api/<name>.js default export, or with
+ *                                 `platform: 'netlify'` the function that the
+ *                                 netlify.toml redirects point to
+ */
+
+import crypto from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const NAME_REGEX = /^[\w-]+$/;
+
+// Netlify base64-encodes every body that is not text
+const TEXT_TYPES = /^(text\/|application\/(json|x-www-form-urlencoded|xml|javascript))/i;
+
+/**
+ * @param {Object} options
+ * @param {string} options.root - Repository root
+ * @param {'vercel'|'netlify'} [options.platform] - Which handlers serve `/api/*`
+ * @param {Function} [options.load] - `(file) => Promise<module>`; the Vite dev
+ *   server passes `ssrLoadModule` so edits are picked up without a restart
+ * @returns {Function} `(req, res, next) => void`
+ */
+export function createFunctionsMiddleware({ root, platform = 'vercel', load = loadModule }) {
+  const netlifyRedirects = platform === 'netlify' ? readNetlifyFunctionRedirects(root) : [];
+
+  function resolve(pathname) {
+    const netlifyMatch = /^\/\.netlify\/functions\/([^/]+)\/?$/.exec(pathname);
+    if (netlifyMatch) {
+      return netlifyFunction(netlifyMatch[1]);
+    }
+
+    if (!pathname.startsWith('/api/')) return null;
+
+    if (platform === 'netlify') {
+      for (const redirect of netlifyRedirects) {
+        const name = redirect.match(pathname);
+        if (name) return netlifyFunction(name);
+      }
+      return null;
+    }
+
+    const name = pathname.slice('/api/'.length).replace(/\/$/, '');
+    return NAME_REGEX.test(name) ? { platform: 'vercel', name, file: path.join(root, 'api', `${name}.js`) } : null;
+  }
+
+  function netlifyFunction(name) {
+    return NAME_REGEX.test(name)
+      ? { platform: 'netlify', name, file: path.join(root, 'netlify', 'functions', `${name}.js`) }
+      : null;
+  }
+
+  return function functionsMiddleware(req, res, next) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const target = resolve(pathname);
+    if (!target) {
+      next();
+      return;
+    }
+
+    if (!existsSync(target.file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Function not found: ${path.relative(root, target.file)}`);
+      return;
+    }
+
+    const run = target.platform === 'netlify' ? runNetlifyFunction : runVercelFunction;
+    run(target, req, res, load).catch(error => {
+      console.error(`❌ ${target.platform} function ${target.name} crashed:`, error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      res.end(`Function ${target.name} crashed: ${error.message}`);
+    });
+  };
+}
+
+/**
+ * `/api/*` routes from the netlify.toml redirects that point at functions,
+ * e.g. `/api/contact` → `contact-form` and `/api/*` → `:splat`.
+ */
+export function readNetlifyFunctionRedirects(root) {
+  const file = path.join(root, 'netlify.toml');
+  if (!existsSync(file)) return [];
+
+  const redirects = [];
+  for (const block of readFileSync(file, 'utf8').split('[[redirects]]').slice(1)) {
+    const from = /^\s*from\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+    const to = /^\s*to\s*=\s*"\/\.netlify\/functions\/([^"]+)"/m.exec(block)?.[1];
+    if (!from || !to) continue;
+
+    if (from.endsWith('/*') && to === ':splat') {
+      const prefix = from.slice(0, -1);
+      redirects.push({ match: pathname => pathname.startsWith(prefix) ? pathname.slice(prefix.length).replace(/\/$/, '') : null });
+    } else {
+      redirects.push({ match: pathname => pathname.replace(/\/$/, '') === from ? to : null });
+    }
+  }
+  return redirects;
+}
+
+/**
+ * Vercel's Node runtime: `req.query`, `req.cookies` and `req.body` (parsed
+ * JSON, url-encoded and text bodies; other bodies stay in the stream) plus the
+ * `res.status()` / `res.json()` / `res.send()` / `res.redirect()` helpers.
+ */
+async function runVercelFunction(target, req, res, load) {
+  const module = await load(target.file);
+  const handler = module.default;
+  if (typeof handler !== 'function') {
+    throw new Error(`${target.name}.js has no default export`);
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+
+  req.query = Object.fromEntries(url.searchParams);
+  req.cookies = parseCookies(req.headers.cookie);
+  if (TEXT_TYPES.test(contentType) || (!contentType && hasBody(req))) {
+    const raw = (await readStream(req)).toString('utf8');
+    try {
+      req.body = parseVercelBody(raw, contentType);
+    } catch (error) {
+      // Vercel answers malformed JSON itself, before the function runs
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Invalid JSON body');
+      return;
+    }
+  }
+
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = data => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(data));
+    return res;
+  };
+  res.send = data => {
+    if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) return res.json(data);
+    res.end(data);
+    return res;
+  };
+  res.redirect = (statusOrUrl, maybeUrl) => {
+    const [status, location] = typeof statusOrUrl === 'number' ? [statusOrUrl, maybeUrl] : [307, statusOrUrl];
+    res.writeHead(status, { Location: location });
+    res.end();
+    return res;
+  };
+
+  await handler(req, res);
+}
+
+/**
+ * Netlify's Lambda-compatible runtime: an `event` with single- and multi-value
+ * headers and query parameters, text bodies as strings and everything else
+ * base64-encoded, and a minimal `context`.
+ */
+async function runNetlifyFunction(target, req, res, load) {
+  const module = await load(target.file);
+  const handler = module.handler;
+  if (typeof handler !== 'function') {
+    throw new Error(`${target.name}.js does not export a handler`);
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const raw = await readStream(req);
+  const contentType = String(req.headers['content-type'] || '');
+  const isText = TEXT_TYPES.test(contentType);
+
+  const multiValueQueryStringParameters = {};
+  for (const [name, value] of url.searchParams) {
+    (multiValueQueryStringParameters[name] ||= []).push(value);
+  }
+
+  const headers = {};
+  const multiValueHeaders = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    headers[name] = Array.isArray(value) ? value.join(', ') : value;
+    multiValueHeaders[name] = Array.isArray(value) ? value : [value];
+  }
+  headers['client-ip'] ||= req.socket.remoteAddress;
+  headers['x-nf-request-id'] ||= crypto.randomUUID();
+
+  const event = {
+    path: url.pathname,
+    httpMethod: req.method,
+    headers,
+    multiValueHeaders,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    multiValueQueryStringParameters,
+    rawUrl: url.href,
+    rawQuery: url.search.slice(1),
+    body: raw.length === 0 ? null : (isText ? raw.toString('utf8') : raw.toString('base64')),
+    isBase64Encoded: raw.length > 0 && !isText
+  };
+
+  const startedAt = Date.now();
+  const context = {
+    functionName: target.name,
+    awsRequestId: headers['x-nf-request-id'],
+    callbackWaitsForEmptyEventLoop: true,
+    clientContext: {},
+    getRemainingTimeInMillis: () => Math.max(0, 10000 - (Date.now() - startedAt))
+  };
+
+  const result = (await handler(event, context)) || {};
+  const responseHeaders = { ...result.headers };
+  for (const [name, values] of Object.entries(result.multiValueHeaders || {})) {
+    responseHeaders[name] = values;
+  }
+
+  res.writeHead(result.statusCode || 200, responseHeaders);
+  if (result.body === undefined || result.body === null) {
+    res.end();
+  } else {
+    res.end(result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body);
+  }
+}
+
+function parseVercelBody(raw, contentType) {
+  if (!raw) return undefined;
+  if (contentType.startsWith('application/json')) {
+    return JSON.parse(raw);
+  }
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return raw;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function hasBody(req) {
+  return Number(req.headers['content-length']) > 0 || Boolean(req.headers['transfer-encoding']);
+}
+
+async function readStream(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function loadModule(file) {
+  return import(pathToFileURL(file).href);
+}
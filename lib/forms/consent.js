@@ -0,0 +1,25 @@
+/**
+ * Privacy consent wording
+ * The checkbox label shown in the browser and the text stored with every lead
+ * come from here, so the consent record matches what the visitor saw. When the
+ * privacy policy or the wording changes, add a new version instead of editing
+ * an old one: stored leads refer to their version.
+ */
+
+export const PRIVACY_POLICY_VERSION = '2025-01';
+
+export const CONSENT_TEXTS = {
+  '2025-01': {
+    de: 'Ich habe die Datenschutzerklärung gelesen und bin damit einverstanden, dass meine Angaben zur Bearbeitung meiner Anfrage gespeichert und verarbeitet werden.',
+    en: 'I have read the privacy policy and agree that my details are stored and processed to handle my enquiry.'
+  }
+};
+
+/**
+ * Consent text for a policy version and locale, falling back to German.
+ * @returns {?string} null for unknown versions
+ */
+export function getConsentText(version, locale = 'de') {
+  const texts = CONSENT_TEXTS[version];
+  return texts ? texts[locale] || texts.de : null;
+}
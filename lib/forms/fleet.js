@@ -0,0 +1,22 @@
+/**
+ * Charter fleet
+ * Aircraft offered on the charter form. `passengers` is the seat count
+ * without the pilot, used to validate the enquiry.
+ */
+
+export const CHARTER_FLEET = [
+  { id: 'cessna-t303', name: 'Cessna T303 Crusader', passengers: 5 },
+  { id: 'socata-tb20', name: 'Socata TB20 Trinidad', passengers: 3 },
+  { id: 'piper-arrow', name: 'Piper PA-28R Arrow', passengers: 3 },
+  { id: 'piper-turbo', name: 'Piper PA-28R Turbo Arrow', passengers: 3 },
+  { id: 'cessna-fr172', name: 'Cessna FR172 Reims Rocket', passengers: 3 },
+  { id: 'tecnam-2006', name: 'Tecnam P2006T', passengers: 3 }
+];
+
+/**
+ * Look up an aircraft by id.
+ * @returns {?Object}
+ */
+export function findAircraft(id) {
+  return CHARTER_FLEET.find(aircraft => aircraft.id === id) || null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Form schemas
+ * Declarative field rules for the lead forms, consumed by the browser
+ * validation in main.js and by the lead pipeline. See validate.js.
+ */
+
+import { CHARTER_FLEET } from './fleet.js';
+
+export const COURSE_OPTIONS = ['online-solo', 'online-instructor', 'presence-mallorca'];
+
+export const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+export const CONTACT_FORM_SCHEMA = {
+  id: 'contact',
+  fields: {
+    name: {
+      type: 'name',
+      required: true,
+      maxLength: 100,
+      messages: {
+        de: { required: 'Bitte geben Sie Ihren Namen ein.' },
+        en: { required: 'Please enter your name.' }
+      }
+    },
+    email: {
+      type: 'email',
+      required: true,
+      maxLength: 254,
+      messages: {
+        de: { required: 'Bitte geben Sie Ihre E-Mail-Adresse ein.' },
+        en: { required: 'Please enter your email address.' }
+      }
+    },
+    phone: {
+      type: 'tel',
+      maxLength: 30
+    },
+    courseInterest: {
+      type: 'select',
+      required: true,
+      options: COURSE_OPTIONS,
+      messages: {
+        de: { required: 'Bitte wählen Sie einen Kurs aus.' },
+        en: { required: 'Please choose a course.' }
+      }
+    },
+    preferredContact: {
+      type: 'text',
+      maxLength: 30
+    },
+    message: {
+      type: 'text',
+      minLength: 10,
+      maxLength: 1000,
+      messages: {
+        de: {
+          required: 'Bitte geben Sie eine Nachricht ein.',
+          minLength: 'Ihre Nachricht sollte mindestens 10 Zeichen lang sein.',
+          maxLength: 'Ihre Nachricht ist zu lang (maximal 1000 Zeichen).'
+        },
+        en: {
+          required: 'Please enter a message.',
+          minLength: 'Your message should be at least 10 characters long.',
+          maxLength: 'Your message is too long (maximum 1000 characters).'
+        }
+      }
+    },
+    // Medical certificate, existing licence, …; checked again server-side by content.
+    // The total stays below the platforms' request limits (Vercel 4.5 MB,
+    // Netlify 6 MB after base64), which would otherwise answer with a bare 413
+    attachments: {
+      type: 'file',
+      accept: ATTACHMENT_TYPES,
+      maxFiles: 3,
+      maxBytes: 4 * 1024 * 1024,
+      maxTotalBytes: 4 * 1024 * 1024,
+      messages: {
+        de: {
+          fileType: 'Erlaubt sind nur PDF-, JPEG- oder PNG-Dateien.',
+          fileSize: 'Jede Datei darf höchstens 4 MB groß sein.',
+          fileTotalSize: 'Alle Dateien zusammen dürfen höchstens 4 MB groß sein.',
+          fileCount: 'Bitte laden Sie höchstens 3 Dateien hoch.'
+        },
+        en: {
+          fileType: 'Only PDF, JPEG or PNG files are allowed.',
+          fileSize: 'Each file may be at most 4 MB.',
+          fileTotalSize: 'All files together may be at most 4 MB.',
+          fileCount: 'Please upload at most 3 files.'
+        }
+      }
+    },
+    privacy: {
+      type: 'consent',
+      required: true
+    }
+  }
+};
+
+export const CHARTER_FORM_SCHEMA = {
+  id: 'charter',
+  fields: {
+    name: CONTACT_FORM_SCHEMA.fields.name,
+    email: CONTACT_FORM_SCHEMA.fields.email,
+    phone: CONTACT_FORM_SCHEMA.fields.phone,
+    aircraft: {
+      type: 'select',
+      required: true,
+      options: CHARTER_FLEET.map(aircraft => aircraft.id),
+      messages: {
+        de: { required: 'Bitte wählen Sie ein Flugzeug aus.' },
+        en: { required: 'Please choose an aircraft.' }
+      }
+    },
+    passengers: {
+      type: 'number',
+      required: true,
+      min: 1,
+      maxFrom: {
+        field: 'aircraft',
+        limits: Object.fromEntries(CHARTER_FLEET.map(aircraft => [aircraft.id, aircraft.passengers]))
+      },
+      messages: {
+        de: {
+          required: 'Bitte geben Sie die Anzahl der Passagiere an.',
+          max: 'Dieses Flugzeug bietet Platz für höchstens {max} Passagiere.'
+        },
+        en: {
+          required: 'Please enter the number of passengers.',
+          max: 'This aircraft seats at most {max} passengers.'
+        }
+      }
+    },
+    departure: {
+      type: 'text',
+      required: true,
+      maxLength: 100,
+      messages: {
+        de: { required: 'Bitte geben Sie den Abflugort an.' },
+        en: { required: 'Please enter the departure airport.' }
+      }
+    },
+    destination: {
+      type: 'text',
+      required: true,
+      maxLength: 100,
+      messages: {
+        de: { required: 'Bitte geben Sie das Reiseziel an.' },
+        en: { required: 'Please enter the destination.' }
+      }
+    },
+    travelDate: {
+      type: 'date',
+      required: true,
+      future: true,
+      messages: {
+        de: { required: 'Bitte geben Sie das Reisedatum an.' },
+        en: { required: 'Please enter the travel date.' }
+      }
+    },
+    message: {
+      type: 'text',
+      maxLength: 1000
+    },
+    privacy: CONTACT_FORM_SCHEMA.fields.privacy
+  }
+};
+
+export const PRIVACY_ACTIONS = ['export', 'erase'];
+
+/**
+ * Data-subject requests (GDPR Art. 15 / 17) sent to /api/privacy-request
+ */
+export const PRIVACY_REQUEST_SCHEMA = {
+  id: 'privacy',
+  fields: {
+    email: {
+      type: 'email',
+      required: true,
+      maxLength: 254,
+      messages: {
+        de: { required: 'Bitte geben Sie Ihre E-Mail-Adresse ein.' },
+        en: { required: 'Please enter your email address.' }
+      }
+    },
+    action: {
+      type: 'select',
+      required: true,
+      options: PRIVACY_ACTIONS
+    }
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * Form validation engine
+ * Shared by the browser (main.js) and the lead pipeline, so the same input
+ * passes or fails in both places. Pure JavaScript: no DOM or Node APIs.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9\s\-().]{8,}$/;
+// Letters from any script, combining marks, spaces, apostrophes, dots and hyphens
+const NAME_REGEX = /^[\p{L}\p{M}][\p{L}\p{M}\s'’.\-]*$/u;
+const INTEGER_REGEX = /^\d+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const CONSENT_VALUES = [true, 'true', 'on', 'yes', '1'];
+
+export const DEFAULT_LOCALE = 'de';
+
+export const MESSAGES = {
+  de: {
+    required: 'Dieses Feld ist erforderlich.',
+    invalid: 'Ungültige Eingabe.',
+    email: 'Bitte geben Sie eine gültige E-Mail-Adresse ein.',
+    tel: 'Bitte geben Sie eine gültige Telefonnummer ein.',
+    name: 'Bitte geben Sie einen gültigen Namen ein (mindestens 2 Zeichen).',
+    minLength: 'Ihre Eingabe sollte mindestens {min} Zeichen lang sein.',
+    maxLength: 'Ihre Eingabe ist zu lang (maximal {max} Zeichen).',
+    option: 'Bitte wählen Sie eine gültige Option.',
+    consent: 'Sie müssen der Datenschutzerklärung zustimmen.',
+    number: 'Bitte geben Sie eine ganze Zahl ein.',
+    min: 'Der Wert muss mindestens {min} betragen.',
+    max: 'Der Wert darf höchstens {max} betragen.',
+    date: 'Bitte geben Sie ein gültiges Datum ein.',
+    future: 'Das Datum muss in der Zukunft liegen.',
+    fileType: 'Dieses Dateiformat ist nicht erlaubt.',
+    fileSize: 'Die Datei ist zu groß.',
+    fileTotalSize: 'Die Dateien sind zusammen zu groß.',
+    fileCount: 'Zu viele Dateien.'
+  },
+  en: {
+    required: 'This field is required.',
+    invalid: 'Invalid input.',
+    email: 'Please enter a valid email address.',
+    tel: 'Please enter a valid phone number.',
+    name: 'Please enter a valid name (at least 2 characters).',
+    minLength: 'Please enter at least {min} characters.',
+    maxLength: 'Your input is too long (maximum {max} characters).',
+    option: 'Please choose a valid option.',
+    consent: 'You must accept the privacy policy.',
+    number: 'Please enter a whole number.',
+    min: 'The value must be at least {min}.',
+    max: 'The value must not exceed {max}.',
+    date: 'Please enter a valid date.',
+    future: 'The date must be in the future.',
+    fileType: 'This file type is not allowed.',
+    fileSize: 'The file is too large.',
+    fileTotalSize: 'The files are too large together.',
+    fileCount: 'Too many files.'
+  }
+};
+
+/**
+ * Validate one value against a field rule.
+ * @param {Object} rule - Field rule from a form schema
+ * @param {*} rawValue
+ * @param {Object} [options]
+ * @param {string} [options.locale]
+ * @param {Object} [options.values] - All submitted values, for rules depending on another field (`maxFrom`)
+ * @param {Date} [options.now] - Reference for `future` dates
+ * @returns {?{code: string, message: string}} null when valid
+ */
+export function validateValue(rule, rawValue, { locale = DEFAULT_LOCALE, values = {}, now = new Date() } = {}) {
+  const limits = {
+    min: rule.min ?? rule.minLength,
+    max: rule.maxFrom ? rule.maxFrom.limits[values[rule.maxFrom.field]] : rule.max ?? rule.maxLength
+  };
+  const code = findErrorCode(rule, rawValue, limits, now);
+  return code ? { code, message: messageFor(rule, code, locale, limits) } : null;
+}
+
+/**
+ * Validate all fields of a schema.
+ * @param {Object} schema - See schema.js
+ * @param {Object} values - Submitted values keyed by field name
+ * @param {Object} [options]
+ * @param {string} [options.locale]
+ * @returns {{valid: boolean, errors: Object<string, {code: string, message: string}>}}
+ */
+export function validateForm(schema, values, options) {
+  const errors = {};
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const error = validateValue(rule, values[name], { ...options, values });
+    if (error) {
+      errors[name] = error;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+function findErrorCode(rule, rawValue, limits, now) {
+  // Files are described as `{ name, size, type }`: File objects in the browser,
+  // MIME-sniffed uploads on the server
+  if (rule.type === 'file') {
+    const files = Array.isArray(rawValue) ? rawValue : [];
+    if (files.length === 0) return rule.required ? 'required' : null;
+    if (rule.maxFiles && files.length > rule.maxFiles) return 'fileCount';
+    if (rule.accept && files.some(file => !rule.accept.includes(file.type))) return 'fileType';
+    if (rule.maxBytes && files.some(file => file.size > rule.maxBytes)) return 'fileSize';
+    if (rule.maxTotalBytes && files.reduce((total, file) => total + file.size, 0) > rule.maxTotalBytes) return 'fileTotalSize';
+    return null;
+  }
+
+  if (rule.type === 'consent') {
+    const given = CONSENT_VALUES.includes(typeof rawValue === 'string' ? rawValue.toLowerCase() : rawValue);
+    return rule.required && !given ? 'consent' : null;
+  }
+
+  if (rawValue === undefined || rawValue === null) {
+    return rule.required ? 'required' : null;
+  }
+  // JSON bodies may carry arrays or objects where a form sends text; String()
+  // would turn them into something that passes the checks below
+  if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+    return 'invalid';
+  }
+
+  const value = String(rawValue).trim();
+
+  if (!value) {
+    return rule.required ? 'required' : null;
+  }
+
+  switch (rule.type) {
+    case 'email':
+      if (!EMAIL_REGEX.test(value)) return 'email';
+      break;
+    case 'tel':
+      if (!PHONE_REGEX.test(value)) return 'tel';
+      break;
+    case 'name':
+      if (!NAME_REGEX.test(value) || [...value].length < 2) return 'name';
+      break;
+    case 'select':
+      if (rule.options && !rule.options.includes(value)) return 'option';
+      break;
+    case 'number': {
+      if (!INTEGER_REGEX.test(value)) return 'number';
+      const number = Number(value);
+      if (limits.min !== undefined && number < limits.min) return 'min';
+      if (limits.max !== undefined && number > limits.max) return 'max';
+      return null;
+    }
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!DATE_REGEX.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return 'date';
+      }
+      if (rule.future && value <= now.toISOString().slice(0, 10)) return 'future';
+      return null;
+    }
+  }
+
+  const length = [...value].length;
+  if (rule.minLength && length < rule.minLength) return 'minLength';
+  if (rule.maxLength && length > rule.maxLength) return 'maxLength';
+
+  return null;
+}
+
+function messageFor(rule, code, locale, limits) {
+  const fieldMessages = rule.messages?.[locale] || rule.messages?.[DEFAULT_LOCALE] || {};
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const template = fieldMessages[code] || messages[code];
+
+  return template
+    .replace('{min}', limits.min)
+    .replace('{max}', limits.max);
+}
@@ -0,0 +1,243 @@
+/**
+ * Lead inbox for staff
+ * A small admin UI (inbox.html) plus JSON endpoints and attachment downloads, all behind HTTP basic
+ * auth (ADMIN_USER / ADMIN_PASSWORD) or a bearer token (ADMIN_TOKEN). Served by
+ * the same function layers as the forms, or locally by scripts/lead-inbox.js.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPipeline } from '../pipeline.js';
+import { LeadError } from '../errors.js';
+import { parseBody } from '../stages.js';
+import { LEAD_STATUSES, LEAD_STATUS_TRANSITIONS } from '../store/index.js';
+
+const INBOX_PAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'inbox.html');
+
+const ADMIN_HEADERS = {
+  'Cache-Control': 'no-store',
+  'X-Robots-Tag': 'noindex, nofollow'
+};
+
+const LIST_FILTERS = ['status', 'courseInterest', 'source', 'from', 'to'];
+const DEFAULT_LIST_LIMIT = 200;
+
+/**
+ * Stage rejecting requests without valid credentials. Sets `ctx.admin` to the
+ * user name recorded in the status history.
+ * @param {Object} config - Lead configuration (see config.js)
+ */
+export function requireAdmin(config) {
+  const { user, password, token } = config.admin;
+
+  return async function requireAdminStage(ctx) {
+    if (!password && !token) {
+      throw new LeadError(503, 'Die Lead-Inbox ist nicht konfiguriert (ADMIN_PASSWORD oder ADMIN_TOKEN fehlt).');
+    }
+
+    const header = ctx.request.headers.authorization || '';
+    const [scheme, credentials = ''] = header.split(' ');
+
+    if (token && scheme === 'Bearer' && safeEqual(credentials, token)) {
+      ctx.admin = 'token';
+      return;
+    }
+
+    if (password && scheme === 'Basic') {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const givenUser = decoded.slice(0, separator);
+      const givenPassword = decoded.slice(separator + 1);
+
+      if (separator !== -1 && safeEqual(givenUser, user) && safeEqual(givenPassword, password)) {
+        ctx.admin = givenUser;
+        return;
+      }
+    }
+
+    throw new LeadError(401, 'Anmeldung erforderlich', {}, {
+      ...ADMIN_HEADERS,
+      'WWW-Authenticate': 'Basic realm="Lead-Inbox", charset="UTF-8"'
+    });
+  };
+}
+
+/**
+ * `GET /api/admin` – the inbox page.
+ * @param {Object} options
+ * @param {Object} options.config
+ */
+export function createAdminPagePipeline({ config }) {
+  return createPipeline({
+    formType: 'admin',
+    stages: [
+      requireAdmin(config),
+      async function serveInboxPageStage(ctx) {
+        ctx.response = {
+          statusCode: 200,
+          headers: {
+            ...ADMIN_HEADERS,
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Security-Policy': "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; frame-ancestors 'none'"
+          },
+          body: await fs.readFile(INBOX_PAGE, 'utf8')
+        };
+      }
+    ]
+  });
+}
+
+/**
+ * `GET /api/admin-leads` – lead list with the filters `status`,
+ * `courseInterest`, `source`, `from`, `to` (ISO dates) and `limit`;
+ * `GET /api/admin-leads?id=…` – one lead with its full history.
+ * @param {Object} options
+ * @param {Object} options.config
+ * @param {Object} options.store - Lead store
+ */
+export function createAdminLeadsPipeline({ config, store }) {
+  return createPipeline({
+    formType: 'admin',
+    stages: [
+      requireAdmin(config),
+      async function listLeadsStage(ctx) {
+        const query = ctx.request.query || {};
+
+        if (query.id) {
+          const lead = await store.get(query.id);
+          if (!lead) {
+            throw new LeadError(404, 'Anfrage nicht gefunden');
+          }
+          ctx.response = {
+            statusCode: 200,
+            headers: ADMIN_HEADERS,
+            body: { lead, allowedStatuses: LEAD_STATUS_TRANSITIONS[lead.status] || [] }
+          };
+          return;
+        }
+
+        const filters = {};
+        for (const name of LIST_FILTERS) {
+          if (query[name]) filters[name] = query[name];
+        }
+
+        const leads = await store.list(filters);
+        const limit = Math.min(Number(query.limit) || DEFAULT_LIST_LIMIT, 1000);
+
+        ctx.response = {
+          statusCode: 200,
+          headers: ADMIN_HEADERS,
+          body: {
+            total: leads.length,
+            statuses: LEAD_STATUSES,
+            leads: leads.slice(0, limit).map(summarizeLead)
+          }
+        };
+      }
+    ]
+  });
+}
+
+/**
+ * `GET /api/admin-attachment?lead=…&id=…` – download an uploaded document.
+ * Always served as a download so PDFs and images never render on this origin.
+ * @param {Object} options
+ * @param {Object} options.config
+ * @param {Object} options.store - Lead store
+ * @param {Object} options.attachmentStore - See attachments.js
+ */
+export function createAdminAttachmentPipeline({ config, store, attachmentStore }) {
+  return createPipeline({
+    formType: 'admin',
+    stages: [
+      requireAdmin(config),
+      async function serveAttachmentStage(ctx) {
+        const query = ctx.request.query || {};
+        const lead = query.lead ? await store.get(query.lead) : null;
+        const attachment = (lead?.attachments || []).find(item => item.id === query.id);
+        const data = attachment && await attachmentStore.read(lead.id, attachment.file);
+
+        if (!data) {
+          throw new LeadError(404, 'Anhang nicht gefunden');
+        }
+
+        ctx.response = {
+          statusCode: 200,
+          headers: {
+            ...ADMIN_HEADERS,
+            'Content-Type': attachment.type,
+            'Content-Length': String(data.length),
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+            'X-Content-Type-Options': 'nosniff'
+          },
+          body: data
+        };
+      }
+    ]
+  });
+}
+
+/**
+ * `POST /api/admin-lead-status` with `{ id, status, note }`.
+ * Only JSON requests are accepted, so other sites cannot submit a plain HTML
+ * form with the browser's cached basic-auth credentials.
+ * @param {Object} options
+ * @param {Object} options.config
+ * @param {Object} options.store - Lead store
+ */
+export function createAdminStatusPipeline({ config, store }) {
+  return createPipeline({
+    formType: 'admin',
+    stages: [
+      requireAdmin(config),
+      async function requireJsonStage(ctx) {
+        if (!String(ctx.request.headers['content-type'] || '').startsWith('application/json')) {
+          throw new LeadError(415, 'Nur JSON-Anfragen werden akzeptiert.');
+        }
+      },
+      parseBody,
+      async function updateStatusStage(ctx) {
+        const { id, status, note } = ctx.fields;
+        if (!id || !LEAD_STATUSES.includes(status)) {
+          throw new LeadError(400, 'Ungültiger Status');
+        }
+
+        const lead = await store.updateStatus(id, status, {
+          by: ctx.admin,
+          note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : undefined
+        });
+
+        ctx.response = {
+          statusCode: 200,
+          headers: ADMIN_HEADERS,
+          body: { lead, allowedStatuses: LEAD_STATUS_TRANSITIONS[lead.status] || [] }
+        };
+      }
+    ]
+  });
+}
+
+function summarizeLead(lead) {
+  return {
+    id: lead.id,
+    formType: lead.formType,
+    name: lead.name,
+    email: lead.email,
+    courseInterest: lead.courseInterest,
+    aircraft: lead.aircraft,
+    source: lead.source,
+    status: lead.status,
+    createdAt: lead.createdAt,
+    updatedAt: lead.updatedAt,
+    interactionCount: (lead.interactions || []).length,
+    pseudonymized: Boolean(lead.pseudonymized)
+  };
+}
+
+function safeEqual(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
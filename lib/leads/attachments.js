@@ -0,0 +1,259 @@
+/**
+ * Lead attachments
+ * Optional documents sent with the contact form (medical certificate, licence).
+ * The type is taken from the file content, never from the browser's claim;
+ * files are scanned by the configured scanners and stored next to the lead
+ * (`<dataDir>/leads/<leadId>/`). The lead record only keeps metadata.
+ *
+ * Scanner hook: `async (file) => ({ status: 'clean' | 'infected' | 'error', detail? })`
+ * where `file` is `{ filename, type, size, data }`. Infected files reject the
+ * submission; scanner errors are recorded on the attachment for staff review.
+ */
+
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { LeadError } from './errors.js';
+import { isSafeId } from './store/json-file.js';
+import { validateValue } from '../forms/validate.js';
+
+const SIGNATURES = [
+  { type: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+];
+
+const STORED_FILE_REGEX = /^att_[\w-]+\.(pdf|jpg|png)$/;
+
+/**
+ * Detect the file type from its first bytes.
+ * @param {Buffer} data
+ * @returns {?{type: string, extension: string}}
+ */
+export function sniffFileType(data) {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => data[index] === byte));
+  return match ? { type: match.type, extension: match.extension } : null;
+}
+
+/**
+ * Keep a display name safe for headers and file systems.
+ */
+export function sanitizeFilename(filename) {
+  const base = path.basename(String(filename || '')).normalize('NFC');
+  const cleaned = base.replace(/[^\p{L}\p{N}._ -]/gu, '_').replace(/^[.\s]+/, '').slice(0, 100);
+  return cleaned || 'datei';
+}
+
+/**
+ * Attachments kept in memory, per function instance.
+ */
+export function createMemoryAttachmentStore() {
+  const files = new Map();
+
+  return {
+    async save(leadId, file, data) {
+      files.set(`${leadId}/${file}`, Buffer.from(data));
+    },
+
+    async read(leadId, file) {
+      const data = files.get(`${leadId}/${file}`);
+      return data ? Buffer.from(data) : null;
+    },
+
+    async removeAll(leadId) {
+      for (const key of [...files.keys()]) {
+        if (key.startsWith(`${leadId}/`)) files.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * Attachments stored as files in a directory per lead.
+ * @param {Object} options
+ * @param {string} options.dir - The lead store directory
+ */
+export function createFileAttachmentStore({ dir }) {
+  function fileFor(leadId, file) {
+    if (!isSafeId(leadId) || !STORED_FILE_REGEX.test(file)) {
+      throw new Error(`Invalid attachment path: ${leadId}/${file}`);
+    }
+    return path.join(dir, leadId, file);
+  }
+
+  return {
+    async save(leadId, file, data) {
+      const target = fileFor(leadId, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, data);
+    },
+
+    async read(leadId, file) {
+      try {
+        return await fs.readFile(fileFor(leadId, file));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.message.startsWith('Invalid attachment path')) return null;
+        throw error;
+      }
+    },
+
+    async removeAll(leadId) {
+      if (!isSafeId(leadId)) return;
+      await fs.rm(path.join(dir, leadId), { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Build the attachment store matching the configured lead store.
+ */
+export function createAttachmentStoreFromConfig(config) {
+  return config.store === 'memory'
+    ? createMemoryAttachmentStore()
+    : createFileAttachmentStore({ dir: path.join(config.dataDir, 'leads') });
+}
+
+/**
+ * Scanner running a command with the file on stdin, e.g. `clamdscan --no-summary -`.
+ * Exit code 0 means clean, 1 infected (the ClamAV convention), anything else an error.
+ * @param {string} command
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ */
+export function createCommandScanner(command, { timeoutMs = 30000 } = {}) {
+  const [program, ...args] = command.split(/\s+/).filter(Boolean);
+
+  return function commandScanner(file) {
+    return new Promise(resolve => {
+      const child = spawn(program, args, { timeout: timeoutMs });
+      let output = '';
+
+      child.stdout.on('data', chunk => { output += chunk; });
+      child.on('error', error => resolve({ status: 'error', detail: error.message }));
+      child.on('close', code => {
+        if (code === 0) resolve({ status: 'clean' });
+        else if (code === 1) resolve({ status: 'infected', detail: output.trim().slice(0, 200) });
+        else resolve({ status: 'error', detail: `${program} exited with ${code}` });
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(file.data);
+    });
+  };
+}
+
+/**
+ * Scanners selected by the configuration.
+ */
+export function createAttachmentScannersFromConfig(config) {
+  return config.attachments.scanCommand ? [createCommandScanner(config.attachments.scanCommand)] : [];
+}
+
+/**
+ * Stage validating and scanning uploads for the schema's `file` fields.
+ * Accepted files are kept in `ctx.attachments` for storeAttachments.
+ * @param {Object} schema - Form schema
+ * @param {Object} [options]
+ * @param {Function[]} [options.scanners] - Virus-scan hooks, see the module comment
+ */
+export function checkAttachments(schema, { scanners = [] } = {}) {
+  const fileFields = Object.keys(schema.fields).filter(name => schema.fields[name].type === 'file');
+
+  return async function checkAttachmentsStage(ctx) {
+    ctx.attachments = [];
+    for (const field of fileFields) {
+      delete ctx.fields[field];
+    }
+
+    for (const field of fileFields) {
+      const uploads = ctx.files
+        .filter(file => file.field === field)
+        .map(file => ({
+          field,
+          filename: sanitizeFilename(file.filename),
+          size: file.data.length,
+          data: file.data,
+          ...(sniffFileType(file.data) || { type: null, extension: null })
+        }));
+
+      const error = validateValue(schema.fields[field], uploads);
+      if (error) {
+        throw new LeadError(400, error.message, { fieldErrors: { [field]: error.message } });
+      }
+
+      for (const upload of uploads) {
+        upload.scan = await scanFile(upload, scanners);
+        if (upload.scan.status === 'infected') {
+          const message = `Die Datei „${upload.filename}“ wurde als schädlich erkannt und nicht angenommen.`;
+          throw new LeadError(400, message, { fieldErrors: { [field]: message } });
+        }
+        ctx.attachments.push(upload);
+      }
+    }
+  };
+}
+
+/**
+ * Stage saving the checked files next to the lead and listing them on the
+ * record. Runs after storeLead, so merged submissions attach to the existing lead.
+ * @param {Object} options
+ * @param {Object} options.attachmentStore
+ * @param {Object} options.store - Lead store
+ */
+export function storeAttachments({ attachmentStore, store }) {
+  return async function storeAttachmentsStage(ctx) {
+    if (!ctx.attachments || ctx.attachments.length === 0) return;
+
+    const stored = [];
+    for (const upload of ctx.attachments) {
+      const id = `att_${crypto.randomUUID()}`;
+      const file = `${id}.${upload.extension}`;
+      await attachmentStore.save(ctx.lead.id, file, upload.data);
+
+      stored.push({
+        id,
+        file,
+        field: upload.field,
+        filename: upload.filename,
+        type: upload.type,
+        size: upload.size,
+        sha256: crypto.createHash('sha256').update(upload.data).digest('hex'),
+        scan: upload.scan,
+        uploadedAt: new Date().toISOString()
+      });
+    }
+
+    ctx.lead = await store.update(ctx.lead.id, record => ({
+      ...record,
+      attachments: [...(record.attachments || []), ...stored]
+    }));
+  };
+}
+
+/**
+ * Link to an attachment in the lead inbox (basic auth).
+ */
+export function attachmentUrl(siteUrl, leadId, attachmentId) {
+  return `${siteUrl}/api/admin-attachment?lead=${encodeURIComponent(leadId)}&id=${encodeURIComponent(attachmentId)}`;
+}
+
+async function scanFile(upload, scanners) {
+  if (scanners.length === 0) {
+    return { status: 'unscanned' };
+  }
+
+  for (const scanner of scanners) {
+    let result;
+    try {
+      result = await scanner({ filename: upload.filename, type: upload.type, size: upload.size, data: upload.data });
+    } catch (error) {
+      result = { status: 'error', detail: error.message };
+    }
+    if (result.status !== 'clean') {
+      return { ...result, scanner: scanner.name || 'scanner', at: new Date().toISOString() };
+    }
+  }
+
+  return { status: 'clean', at: new Date().toISOString() };
+}
@@ -0,0 +1,144 @@
+/**
+ * Request body decoding
+ * The endpoints accept JSON (fetch from main.js) as well as plain HTML form
+ * posts, url-encoded or multipart, so the forms keep working without
+ * JavaScript. Multipart is parsed here to avoid a dependency for the few
+ * fields and small attachments the forms send.
+ */
+
+const MAX_MULTIPART_PARTS = 50;
+
+/**
+ * The media type of a request, lower-cased and without parameters.
+ */
+export function mediaType(headers) {
+  return String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Is this a multipart request? Adapters use it to keep the body binary.
+ */
+export function isMultipart(headers) {
+  return mediaType(headers) === 'multipart/form-data';
+}
+
+/**
+ * Was this posted by a plain HTML form rather than by fetch()? Such requests
+ * are answered with redirects instead of JSON.
+ */
+export function isBrowserFormPost(request) {
+  const type = mediaType(request.headers);
+  const accept = String(request.headers.accept || '');
+  return (type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data') &&
+    !accept.includes('application/json');
+}
+
+/**
+ * Decode a body according to its content type.
+ * @param {string|Buffer|Object} body
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {{fields: Object, files: Object[]}}
+ * @throws {Error} on malformed bodies
+ */
+export function decodeBody(body, headers) {
+  if (body === null || body === undefined || body === '') {
+    return { fields: {}, files: [] };
+  }
+
+  // Vercel parses JSON and url-encoded bodies itself
+  if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return { fields: { ...body }, files: [] };
+  }
+
+  const type = mediaType(headers);
+
+  if (type === 'multipart/form-data') {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(headers['content-type']);
+    if (!boundary) throw new Error('Multipart body without boundary');
+    return parseMultipart(Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8'), boundary[1] || boundary[2].trim());
+  }
+
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+
+  if (type === 'application/x-www-form-urlencoded') {
+    return { fields: Object.fromEntries(new URLSearchParams(text)), files: [] };
+  }
+
+  const fields = JSON.parse(text);
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('JSON body is not an object');
+  }
+  return { fields, files: [] };
+}
+
+/**
+ * Split a multipart/form-data body into text fields and files.
+ * @param {Buffer} buffer
+ * @param {string} boundary
+ * @returns {{fields: Object, files: {field: string, filename: string, contentType: string, data: Buffer}[]}}
+ */
+export function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = buffer.indexOf(delimiter);
+  if (position === -1) throw new Error('Multipart boundary not found');
+
+  for (let parts = 0; ; parts++) {
+    position += delimiter.length;
+    if (buffer.subarray(position, position + 2).toString() === '--') break;
+    if (parts >= MAX_MULTIPART_PARTS) throw new Error('Too many multipart parts');
+
+    const start = position + 2; // CRLF after the delimiter
+    const end = buffer.indexOf(delimiter, start);
+    if (end === -1) throw new Error('Unterminated multipart body');
+
+    const part = buffer.subarray(start, end - 2); // CRLF before the next delimiter
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) throw new Error('Multipart part without headers');
+
+    const partHeaders = parsePartHeaders(part.subarray(0, headerEnd).toString('utf8'));
+    const disposition = partHeaders['content-disposition'] || '';
+    const name = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+    const data = part.subarray(headerEnd + 4);
+
+    if (name !== null) {
+      if (filename !== null) {
+        // Browsers send an empty part for a file input left empty
+        if (filename || data.length > 0) {
+          files.push({
+            field: name,
+            filename,
+            contentType: partHeaders['content-type'] || 'application/octet-stream',
+            data: Buffer.from(data)
+          });
+        }
+      } else {
+        fields[name] = data.toString('utf8');
+      }
+    }
+
+    position = end;
+  }
+
+  return { fields, files };
+}
+
+function parsePartHeaders(source) {
+  const headers = {};
+  for (const line of source.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function dispositionParam(disposition, param) {
+  const match = new RegExp(`(?:^|;)\\s*${param}="([^"]*)"`, 'i').exec(disposition) ||
+    new RegExp(`(?:^|;)\\s*${param}=([^;]*)`, 'i').exec(disposition);
+  return match ? match[1].trim() : null;
+}
@@ -0,0 +1,181 @@
+/**
+ * Lead processing configuration
+ * Read from environment variables so the same code runs on Netlify, Vercel
+ * and self-hosted setups.
+ */
+
+import os from 'os';
+import path from 'path';
+
+/**
+ * @param {Object} [env]
+ */
+export function loadConfig(env = process.env) {
+  // Serverless platforms only allow writes below the temp directory
+  const dataDir = env.LEAD_DATA_DIR || path.join(os.tmpdir(), 'flugschule-mallorca');
+  const siteUrl = (env.SITE_URL || 'https://flugschule-mallorca.com').replace(/\/$/, '');
+  const environment = deployEnvironment(env);
+
+  return {
+    dataDir,
+    store: env.LEAD_STORE || 'file',
+    // HMAC key for everything stored or logged hashed: rate-limit keys, the
+    // email addresses in the privacy audit log and on pseudonymized leads,
+    // and the hashed fields in the function logs
+    hashSecret: env.LEAD_HASH_SECRET || null,
+    // Submissions from the same email address within this many days are merged
+    mergeWindowDays: Number(env.LEAD_MERGE_WINDOW_DAYS ?? 30),
+    // Repeated Idempotency-Key headers get the original response for this long
+    idempotencyHours: Number(env.IDEMPOTENCY_TTL_HOURS || 24),
+    sla: {
+      // Promised reply time ("Wir melden uns innerhalb von 24 Stunden")
+      hours: Number(env.LEAD_SLA_HOURS || 24)
+    },
+    rateLimit: {
+      store: env.RATE_LIMIT_STORE || env.LEAD_STORE || 'file',
+      windowMs: Number(env.RATE_LIMIT_WINDOW_SECONDS || 3600) * 1000,
+      perIp: Number(env.RATE_LIMIT_PER_IP ?? 10),
+      perEmail: Number(env.RATE_LIMIT_PER_EMAIL ?? 3)
+    },
+    spam: {
+      threshold: Number(env.SPAM_THRESHOLD || 5),
+      tokenSecret: env.FORM_TOKEN_SECRET || null,
+      minSeconds: Number(env.SPAM_MIN_SECONDS || 3),
+      maxTokenAgeSeconds: Number(env.SPAM_MAX_TOKEN_AGE_SECONDS || 24 * 60 * 60),
+      keywords: splitList(env.SPAM_KEYWORDS).map(item => item.toLowerCase()),
+      blockedDomains: splitList(env.SPAM_BLOCKED_DOMAINS).map(item => item.toLowerCase()),
+      duplicateWindowDays: Number(env.SPAM_DUPLICATE_WINDOW_DAYS || 30)
+    },
+    webhooks: {
+      targets: parseWebhookTargets(env.WEBHOOKS, env.WEBHOOK_SECRET),
+      attempts: Number(env.WEBHOOK_ATTEMPTS || 3),
+      timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS || 2000),
+      // All targets and retries of one lead; keep it well below the function's maxDuration
+      budgetMs: Number(env.WEBHOOK_BUDGET_MS || 3000)
+    },
+    attachments: {
+      // e.g. "clamdscan --no-summary -"; the file is passed on stdin
+      scanCommand: env.ATTACHMENT_SCAN_COMMAND || null
+    },
+    privacy: {
+      tokenSecret: env.PRIVACY_TOKEN_SECRET || null,
+      tokenTtlMinutes: Number(env.PRIVACY_TOKEN_TTL_MINUTES || 60),
+      // "pseudonymize" keeps anonymous statistics, "delete" removes the leads
+      erasureMode: env.PRIVACY_ERASURE_MODE || 'pseudonymize'
+    },
+    admin: {
+      user: env.ADMIN_USER || 'admin',
+      password: env.ADMIN_PASSWORD || null,
+      token: env.ADMIN_TOKEN || null
+    },
+    log: {
+      level: env.LOG_LEVEL || 'info',
+      // Added to the built-in lists in logger.js
+      redactFields: splitList(env.LOG_REDACT_FIELDS),
+      hashFields: splitList(env.LOG_HASH_FIELDS)
+    },
+    environment,
+    cors: {
+      allowedOrigins: env.CORS_ALLOWED_ORIGINS
+        ? [siteUrl, ...splitList(env.CORS_ALLOWED_ORIGINS)]
+        : defaultAllowedOrigins(env, siteUrl, environment)
+    },
+    siteUrl,
+    officeEmail: env.CONTACT_EMAIL || 'contact@flightservice365.com',
+    offices: {
+      mallorca: env.OFFICE_PHONE_MALLORCA || '+34 691 367 430',
+      germany: env.OFFICE_PHONE_GERMANY || '+49 171 6502219'
+    },
+    mail: {
+      transport: env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file'),
+      from: env.MAIL_FROM || 'Flugschule Mallorca <noreply@flightservice365.com>',
+      dropDir: env.MAIL_DROP_DIR || path.join(dataDir, 'mail'),
+      attempts: Number(env.MAIL_ATTEMPTS || 3),
+      // Per message sent during a form request, retries included; together
+      // with the webhook budget it has to fit the function's maxDuration
+      budgetMs: Number(env.MAIL_BUDGET_MS || 2500),
+      smtp: {
+        host: env.SMTP_HOST || 'localhost',
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        timeoutMs: Number(env.SMTP_TIMEOUT_MS || 2000)
+      }
+    }
+  };
+}
+
+/**
+ * `production`, `preview` or `development`, from DEPLOY_ENV or the variables
+ * Netlify (CONTEXT) and Vercel (VERCEL_ENV) set on every deploy.
+ */
+function deployEnvironment(env) {
+  if (env.DEPLOY_ENV) return env.DEPLOY_ENV;
+  if (env.CONTEXT === 'production' || env.VERCEL_ENV === 'production') return 'production';
+  if (['deploy-preview', 'branch-deploy'].includes(env.CONTEXT) || env.VERCEL_ENV === 'preview') return 'preview';
+  if (env.CONTEXT === 'dev' || env.VERCEL_ENV === 'development' || env.NODE_ENV !== 'production') return 'development';
+  return 'production';
+}
+
+/**
+ * The site itself (with and without www), plus the URLs of the current deploy
+ * on previews and localhost during development.
+ */
+function defaultAllowedOrigins(env, siteUrl, environment) {
+  const site = new URL(siteUrl);
+  const bareHost = site.host.replace(/^www\./, '');
+  const origins = [`${site.protocol}//${bareHost}`, `${site.protocol}//www.${bareHost}`];
+
+  if (environment !== 'production') {
+    for (const url of [env.DEPLOY_PRIME_URL, env.DEPLOY_URL, env.URL]) {
+      if (url) origins.push(url);
+    }
+    for (const host of [env.VERCEL_URL, env.VERCEL_BRANCH_URL]) {
+      if (host) origins.push(`https://${host}`);
+    }
+  }
+
+  if (environment === 'development') {
+    origins.push('http://localhost:*', 'http://127.0.0.1:*');
+  }
+
+  return origins;
+}
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * WEBHOOKS is either a comma-separated list of URLs (all events) or a JSON
+ * array of `{ "url", "name", "events": ["lead.contact", "lead.charter"], "secret" }`.
+ * Hook URLs often carry their own secret, so logs and dead letters only show
+ * `name`, which defaults to the URL's origin.
+ */
+function parseWebhookTargets(value, defaultSecret) {
+  if (!value) return [];
+
+  const targets = value.trim().startsWith('[')
+    ? JSON.parse(value)
+    : splitList(value).map(url => ({ url }));
+
+  return targets.map((target, index) => {
+    let origin;
+    try {
+      origin = new URL(target.url).origin;
+    } catch (error) {
+      throw new Error(`Webhook target #${index + 1} has no valid URL`);
+    }
+
+    const name = target.name || origin;
+    const secret = target.secret || defaultSecret;
+    if (!secret) {
+      throw new Error(`Webhook target ${name} has no secret (set WEBHOOK_SECRET)`);
+    }
+    return { url: target.url, name, events: target.events || [], secret };
+  });
+}
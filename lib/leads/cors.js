@@ -0,0 +1,113 @@
+/**
+ * CORS and security headers for the API
+ * Only origins on the allowlist (see config.js: the site, the current preview
+ * deploy, localhost during development) may call the functions from a browser.
+ * The allowed origin is echoed back, never `*`, and credentials are never
+ * allowed. Every response gets the same headers, whichever platform serves it.
+ */
+
+import { loadConfig } from './config.js';
+
+export const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin'
+};
+
+const ALLOW_HEADERS = ['Content-Type', 'Accept', 'Idempotency-Key'];
+const EXPOSE_HEADERS = ['Retry-After', 'Idempotent-Replayed', 'X-Request-Id'];
+
+// Methods that cannot change anything; cross-origin reads are simply not exposed
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.allowedOrigins - Exact origins or patterns where `*`
+ *   stands for one host label or a port, e.g. `https://*--flugschule.netlify.app`
+ *   or `http://localhost:*`
+ * @param {number} [options.maxAgeSeconds] - How long browsers cache a preflight
+ */
+export function createCorsPolicy({ allowedOrigins, maxAgeSeconds = 600 }) {
+  const patterns = allowedOrigins.map(toPattern);
+
+  function isAllowed(origin) {
+    return typeof origin === 'string' && patterns.some(pattern => pattern.test(origin));
+  }
+
+  return {
+    isAllowed,
+
+    /**
+     * Headers for a response to `request`.
+     * @param {Object} request - Neutral request
+     * @param {string|string[]} method - The method(s) the endpoint accepts
+     */
+    headersFor(request, method) {
+      const origin = request.headers.origin;
+      const headers = { ...SECURITY_HEADERS, Vary: 'Origin' };
+
+      if (isAllowed(origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Access-Control-Expose-Headers'] = EXPOSE_HEADERS.join(', ');
+
+        if (request.method === 'OPTIONS') {
+          headers['Access-Control-Allow-Methods'] = `${[].concat(method).join(', ')}, OPTIONS`;
+          headers['Access-Control-Allow-Headers'] = ALLOW_HEADERS.join(', ');
+          headers['Access-Control-Max-Age'] = String(maxAgeSeconds);
+        }
+      }
+
+      return headers;
+    },
+
+    /**
+     * Response for requests the policy refuses before they reach the pipeline,
+     * or null. Covers preflights and state-changing requests from other sites
+     * (plain HTML form posts need no preflight, so the browser would send them).
+     * @param {Object} request - Neutral request
+     * @param {string|string[]} method - The method(s) the endpoint accepts
+     */
+    reject(request, method) {
+      const origin = request.headers.origin;
+
+      if (request.method === 'OPTIONS') {
+        const requestedMethod = request.headers['access-control-request-method'];
+        const requestedHeaders = (request.headers['access-control-request-headers'] || '')
+          .split(',')
+          .map(header => header.trim().toLowerCase())
+          .filter(Boolean);
+        const knownHeaders = ALLOW_HEADERS.map(header => header.toLowerCase());
+
+        if (origin && (!isAllowed(origin) ||
+          (requestedMethod && ![].concat(method).includes(requestedMethod)) ||
+          requestedHeaders.some(header => !knownHeaders.includes(header)))) {
+          return { statusCode: 403, body: { error: 'CORS-Anfrage nicht erlaubt' } };
+        }
+        return null;
+      }
+
+      if (origin && !SAFE_METHODS.includes(request.method) && !isAllowed(origin) && !isSameOrigin(request)) {
+        return { statusCode: 403, body: { error: 'Anfragen von dieser Website sind nicht erlaubt.' } };
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Policy built from the configured allowlist, shared by every endpoint.
+ */
+export const corsPolicy = createCorsPolicy({ allowedOrigins: loadConfig().cors.allowedOrigins });
+
+function toPattern(origin) {
+  const escaped = origin.replace(/\/$/, '').replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '[a-z0-9-]+')}$`, 'i');
+}
+
+function isSameOrigin(request) {
+  try {
+    return new URL(request.headers.origin).host === request.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
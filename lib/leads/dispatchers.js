@@ -0,0 +1,25 @@
+/**
+ * Lead dispatchers
+ * Each dispatcher receives the finished lead after all pipeline stages passed.
+ */
+
+/**
+ * Log the accepted lead for analytics and debugging. The logger hashes the
+ * email and phone number and truncates the IP address (see logger.js).
+ */
+export async function logLead(lead, ctx) {
+  ctx.log.info('Lead accepted', {
+    leadId: lead.id,
+    formType: lead.formType,
+    status: lead.status,
+    merged: Boolean(ctx.merged),
+    courseInterest: lead.courseInterest,
+    aircraft: lead.aircraft,
+    source: lead.source,
+    email: lead.email,
+    phone: lead.phone,
+    ip: lead.ip,
+    spamScore: lead.spam?.score,
+    attachments: (lead.attachments || []).length
+  });
+}
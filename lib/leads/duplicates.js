@@ -0,0 +1,85 @@
+/**
+ * Duplicate lead detection
+ * A submission from the same email address within the merge window is attached
+ * to the existing lead as another interaction, whichever form it came from
+ * (e.g. the contact form first, the charter form later), instead of creating a
+ * new lead. Addresses that are only spelled differently ("+tags", dots in
+ * Gmail addresses) merge when the phone number matches too. A phone number
+ * never merges on its own: families and offices share numbers, and two
+ * different addresses mean two different people.
+ */
+
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = { 'gmail.com': 'gmail.com', 'googlemail.com': 'gmail.com' };
+
+/**
+ * Reduce a phone number to its last nine digits, so "+49 171 6502219",
+ * "0049 171 6502219" and "0171 6502219" compare equal.
+ * @returns {?string} null for numbers too short to compare safely
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 8 ? digits.slice(-9) : null;
+}
+
+/**
+ * Reduce an email address to the mailbox it is delivered to: lowercased,
+ * without a "+tag" and, for Gmail, without dots in the local part.
+ * @returns {?string} null for values that are not an address
+ */
+export function normalizeEmail(email) {
+  const address = String(email || '').trim().toLowerCase();
+  const at = address.lastIndexOf('@');
+  if (at < 1) return null;
+
+  let local = address.slice(0, at).split('+')[0];
+  let domain = address.slice(at + 1);
+  if (DOTLESS_DOMAINS[domain]) {
+    local = local.replace(/\./g, '');
+    domain = DOTLESS_DOMAINS[domain];
+  }
+  return local ? `${local}@${domain}` : null;
+}
+
+/**
+ * Find the most recent stored lead with the same email address, or with the
+ * same normalized address and phone number.
+ * Quarantined leads never take part in merging.
+ * @param {Object} store - Lead store
+ * @param {Object} lead
+ * @param {number} windowDays
+ */
+export async function findDuplicate(store, lead, windowDays) {
+  const email = String(lead.email || '').trim().toLowerCase();
+  if (!email) return null;
+
+  const mailbox = normalizeEmail(email);
+  const phone = normalizePhone(lead.phone);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const candidates = await store.list({ from: since });
+
+  return candidates.find(record => {
+    if (record.status === 'quarantined') return false;
+    const recordEmail = String(record.email || '').trim().toLowerCase();
+    if (recordEmail === email) return true;
+    return Boolean(phone && mailbox)
+      && normalizePhone(record.phone) === phone
+      && normalizeEmail(recordEmail) === mailbox;
+  }) || null;
+}
+
+/**
+ * Pipeline stage marking the submission as a duplicate (`ctx.duplicateOf`).
+ * Runs after spam scoring and before storeLead, which does the merge.
+ * @param {Object} store - Lead store
+ * @param {Object} options
+ * @param {number} options.windowDays - 0 disables merging
+ */
+export function detectDuplicates(store, { windowDays }) {
+  return async function detectDuplicatesStage(ctx) {
+    if (!windowDays || ctx.quarantined) return;
+
+    ctx.duplicateOf = await findDuplicate(store, ctx.lead, windowDays);
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Error type for the lead pipeline.
+ * A LeadError carries the HTTP status and the JSON payload returned to the browser,
+ * so stages can reject a submission without knowing which platform they run on.
+ */
+
+export class LeadError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status for the response
+   * @param {string} message - German message shown to the visitor
+   * @param {Object} [details] - Extra fields merged into the error payload
+   * @param {Object} [headers] - Extra response headers, e.g. `Retry-After`
+   */
+  constructor(statusCode, message, details = {}, headers = {}) {
+    super(message);
+    this.name = 'LeadError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.headers = headers;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      ...this.details
+    };
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Error page for form posts without JavaScript
+ * handleLeadRequest redirects failed browser form posts here with
+ * `?code=…&fields=…&back=…`. Only known codes and field names are shown.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { renderString } from './mail/templates.js';
+
+const PAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'pages', 'form-error.html');
+
+const ERROR_MESSAGES = {
+  validation: 'Bitte überprüfen Sie Ihre Eingaben in den folgenden Feldern:',
+  consent: 'Bitte stimmen Sie der Datenschutzerklärung zu, damit wir Ihre Anfrage bearbeiten dürfen.',
+  'rate-limit': 'Zu viele Anfragen. Bitte versuchen Sie es später erneut.',
+  server: 'Interner Serverfehler. Bitte versuchen Sie es später erneut.',
+  invalid: 'Ihre Anfrage konnte nicht verarbeitet werden.'
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'E-Mail',
+  phone: 'Telefon',
+  courseInterest: 'Kursinteresse',
+  preferredContact: 'Bevorzugter Kontakt',
+  message: 'Nachricht',
+  privacy: 'Datenschutzerklärung',
+  aircraft: 'Flugzeug',
+  passengers: 'Passagiere',
+  departure: 'Abflugort',
+  destination: 'Reiseziel',
+  travelDate: 'Reisedatum'
+};
+
+/**
+ * Endpoint rendering the error page, for use with the platform adapters in http.js.
+ * @param {Object} config - Lead configuration (see config.js)
+ */
+export function createFormErrorPage(config) {
+  return {
+    async process(request) {
+      const query = request.query || {};
+      const code = Object.hasOwn(ERROR_MESSAGES, query.code) ? query.code : 'invalid';
+      const fields = String(query.fields || '')
+        .split(',')
+        .filter(field => Object.hasOwn(FIELD_LABELS, field))
+        .map(field => FIELD_LABELS[field]);
+      const retryMinutes = Number(query.retry) > 0 ? Math.ceil(Number(query.retry)) : null;
+      const back = /^\/(?!\/)[\w\-./]*$/.test(query.back || '') ? query.back : '/';
+
+      const html = await renderString(await fs.readFile(PAGE, 'utf8'), {
+        message: ERROR_MESSAGES[code],
+        fields,
+        retry: retryMinutes ? `Sie können es in etwa ${retryMinutes} Minute(n) erneut versuchen.` : '',
+        back,
+        officeEmail: config.officeEmail,
+        phoneMallorca: config.offices.mallorca
+      }, { mode: 'html' });
+
+      return {
+        statusCode: code === 'server' ? 500 : 400,
+        headers: {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'X-Robots-Tag': 'noindex'
+        },
+        body: html
+      };
+    }
+  };
+}
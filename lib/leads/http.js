@@ -0,0 +1,260 @@
+/**
+ * Platform adapters for the lead pipeline
+ * Translate Vercel's `(req, res)`, Netlify's `event` and plain Node
+ * `http.IncomingMessage` into one neutral request shape
+ * `{ method, headers, query, body, ip }` and back again.
+ */
+
+import { LeadError } from './errors.js';
+import { isBrowserFormPost, isMultipart } from './body.js';
+import { logger as defaultLogger, requestIdFrom } from './logger.js';
+import { corsPolicy } from './cors.js';
+
+/**
+ * Where plain HTML form posts (no JavaScript) are sent after processing.
+ * The error page is rendered by the form-error function (see form-error.js).
+ */
+export const FORM_REDIRECTS = {
+  success: '/thank-you.html',
+  error: '/api/form-error'
+};
+
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json'
+};
+
+/**
+ * Run a neutral request through the pipeline and always produce a response.
+ * Every request gets an id (`request.id`, returned as `X-Request-Id`) that
+ * ties together all log entries written while handling it. CORS and security
+ * headers are added to every response, errors and preflights included.
+ * @param {{process: Function}} pipeline
+ * @param {{method: string, headers: Object, query: Object, body: *, ip: ?string}} request
+ * @param {Object} [options]
+ * @param {string|string[]} [options.method] - The method(s) the endpoint accepts
+ * @param {{success: string, error: string}} [options.redirects] - Answer browser
+ *   form posts with a 303 to these pages instead of JSON (see FORM_REDIRECTS)
+ * @param {Object} [options.logger] - See logger.js
+ * @param {Object} [options.cors] - See cors.js, defaults to the configured allowlist
+ */
+export async function handleLeadRequest(pipeline, request, {
+  method = 'POST',
+  redirects = null,
+  logger = defaultLogger,
+  cors = corsPolicy
+} = {}) {
+  const startedAt = Date.now();
+  request = { ...request, id: request.id || requestIdFrom(request.headers) };
+  const log = logger.child({ requestId: request.id });
+  const methods = [].concat(method);
+  const refused = cors.reject(request, methods);
+  let response = refused;
+
+  if (refused) {
+    log.warn('Request refused by CORS policy', { origin: request.headers.origin, method: request.method });
+  } else if (request.method === 'OPTIONS') {
+    response = { statusCode: 204, body: '' };
+  } else if (!methods.includes(request.method)) {
+    response = { statusCode: 405, headers: { Allow: `${methods.join(', ')}, OPTIONS` }, body: { error: 'Method not allowed' } };
+  } else {
+    try {
+      response = await pipeline.process(request);
+    } catch (error) {
+      if (error instanceof LeadError) {
+        response = { statusCode: error.statusCode, headers: error.headers, body: error.toJSON() };
+      } else {
+        log.error('Form processing error', { error });
+        response = {
+          statusCode: 500,
+          body: { error: 'Interner Serverfehler. Bitte versuchen Sie es später erneut.' }
+        };
+      }
+    }
+  }
+
+  const leadId = response.body?.leadId;
+
+  if (redirects && !refused && methods.includes(request.method) && isBrowserFormPost(request)) {
+    response = redirectFormPost(response, request, redirects);
+  }
+
+  log.info('Request handled', {
+    method: request.method,
+    statusCode: response.statusCode,
+    durationMs: Date.now() - startedAt,
+    ip: request.ip,
+    ...(leadId && { leadId })
+  });
+
+  return {
+    ...response,
+    headers: {
+      ...RESPONSE_HEADERS,
+      ...cors.headersFor(request, methods),
+      ...response.headers,
+      'X-Request-Id': request.id
+    }
+  };
+}
+
+/**
+ * Turn a JSON response into a 303 redirect for a browser form post. Errors go
+ * to the error page with a code, the invalid field names and the form's path,
+ * never with free text, so the page cannot be used to display arbitrary content.
+ */
+function redirectFormPost(response, request, redirects) {
+  if (response.statusCode >= 200 && response.statusCode < 300) {
+    return { statusCode: 303, headers: { Location: redirects.success }, body: '' };
+  }
+
+  const body = response.body || {};
+  const fields = Object.keys(body.fieldErrors || {});
+  const params = new URLSearchParams({ code: errorCode(response.statusCode, fields) });
+
+  if (fields.length > 0) params.set('fields', fields.join(','));
+  if (body.retryAfter) params.set('retry', String(Math.ceil(body.retryAfter / 60)));
+
+  const back = sameOriginPath(request.headers.referer, request.headers.host);
+  if (back) params.set('back', back);
+
+  return { statusCode: 303, headers: { Location: `${redirects.error}?${params}` }, body: '' };
+}
+
+function errorCode(statusCode, fields) {
+  if (statusCode === 429) return 'rate-limit';
+  if (statusCode >= 500) return 'server';
+  if (fields.length === 1 && fields[0] === 'privacy') return 'consent';
+  if (fields.length > 0) return 'validation';
+  return 'invalid';
+}
+
+function sameOriginPath(referer, host) {
+  try {
+    const url = new URL(referer);
+    return url.host === host ? url.pathname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wrap a pipeline as a Vercel serverless function.
+ * @param {{process: Function}} pipeline
+ * @param {Object} [options] - See handleLeadRequest
+ */
+export function createVercelHandler(pipeline, options) {
+  return async function handler(req, res) {
+    const headers = normalizeHeaders(req.headers);
+    const response = await handleLeadRequest(pipeline, {
+      method: req.method,
+      headers,
+      query: req.query || Object.fromEntries(new URL(req.url || '/', 'http://localhost').searchParams),
+      // Vercel parses JSON and url-encoded bodies, but not multipart
+      body: isMultipart(headers) ? await readStream(req) : req.body,
+      ip: firstForwardedIp(headers['x-forwarded-for']) || req.socket?.remoteAddress || null
+    }, options);
+
+    res.statusCode = response.statusCode;
+    for (const [name, value] of Object.entries(response.headers)) {
+      res.setHeader(name, value);
+    }
+    res.end(serializeBody(response.body));
+  };
+}
+
+/**
+ * Wrap a pipeline as a Netlify function handler.
+ * @param {{process: Function}} pipeline
+ * @param {Object} [options] - See handleLeadRequest
+ */
+export function createNetlifyHandler(pipeline, options) {
+  return async function handler(event) {
+    const headers = normalizeHeaders(event.headers);
+    let body = event.body;
+    if (event.isBase64Encoded && body) {
+      body = Buffer.from(body, 'base64');
+      if (!isMultipart(headers)) body = body.toString('utf8');
+    }
+
+    const response = await handleLeadRequest(pipeline, {
+      method: event.httpMethod,
+      headers,
+      query: event.queryStringParameters || {},
+      body,
+      ip: headers['client-ip'] ||
+        headers['x-nf-client-connection-ip'] ||
+        firstForwardedIp(headers['x-forwarded-for']) ||
+        null
+    }, options);
+
+    if (Buffer.isBuffer(response.body)) {
+      return {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: response.body.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
+    return {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: serializeBody(response.body)
+    };
+  };
+}
+
+/**
+ * Wrap a pipeline as a plain Node `http` request listener, for running the
+ * handlers locally without a platform runtime.
+ * @param {{process: Function}} pipeline
+ * @param {Object} [options] - See handleLeadRequest
+ */
+export function createNodeHandler(pipeline, options) {
+  return async function handler(req, res) {
+    const headers = normalizeHeaders(req.headers);
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    const body = await readStream(req);
+
+    const response = await handleLeadRequest(pipeline, {
+      method: req.method,
+      headers,
+      query: Object.fromEntries(url.searchParams),
+      body: isMultipart(headers) ? body : body.toString('utf8'),
+      ip: firstForwardedIp(headers['x-forwarded-for']) || req.socket?.remoteAddress || null
+    }, options);
+
+    res.writeHead(response.statusCode, response.headers);
+    res.end(serializeBody(response.body));
+  };
+}
+
+/**
+ * Lower-case header names so lookups work regardless of platform.
+ */
+export function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+  }
+  return normalized;
+}
+
+async function readStream(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function firstForwardedIp(value) {
+  return value ? value.split(',')[0].trim() : null;
+}
+
+function serializeBody(body) {
+  if (body === undefined || body === null) return '';
+  if (Buffer.isBuffer(body)) return body;
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
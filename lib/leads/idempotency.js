@@ -0,0 +1,205 @@
+/**
+ * Idempotency keys for form submissions
+ * The browser sends an `Idempotency-Key` header per form session. The first
+ * request with a key is processed; repeats within the TTL (double taps, retries
+ * on slow networks, the offline queue) get the original response with the same
+ * `leadId` instead of creating another lead. Keys are scoped per form and
+ * hashed before they reach a backend.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { LeadError } from './errors.js';
+import { decodeBody } from './body.js';
+import { updateJsonFile } from './store/json-file.js';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+const KEY_REGEX = /^[\w-]{8,128}$/;
+
+// A claim left behind by a crashed invocation stops blocking after this
+const PENDING_TTL_MS = 60 * 1000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Entries kept in memory, per function instance.
+ */
+export function createMemoryIdempotencyBackend() {
+  const entries = new Map();
+
+  return {
+    async claim(key, fingerprint, now = Date.now()) {
+      for (const [storedKey, stored] of entries) {
+        if (stored.expiresAt <= now) entries.delete(storedKey);
+      }
+
+      const existing = entries.get(key);
+      if (existing) return structuredClone(existing);
+
+      entries.set(key, { state: 'pending', fingerprint, expiresAt: now + PENDING_TTL_MS });
+      return null;
+    },
+
+    async complete(key, response, ttlMs, now = Date.now()) {
+      const entry = entries.get(key);
+      if (!entry) return;
+      entries.set(key, { ...entry, state: 'done', response: structuredClone(response), expiresAt: now + ttlMs });
+    },
+
+    async release(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Entries persisted in a single JSON file.
+ * @param {Object} options
+ * @param {string} options.file
+ */
+export function createFileIdempotencyBackend({ file }) {
+  // The shared file lock serializes claims, so two concurrent requests cannot
+  // both claim the same key
+  function update(change) {
+    return updateJsonFile(file, {}, change);
+  }
+
+  return {
+    claim(key, fingerprint, now = Date.now()) {
+      return update(entries => {
+        for (const [storedKey, stored] of Object.entries(entries)) {
+          if (stored.expiresAt <= now) delete entries[storedKey];
+        }
+
+        if (entries[key]) return entries[key];
+
+        entries[key] = { state: 'pending', fingerprint, expiresAt: now + PENDING_TTL_MS };
+        return null;
+      });
+    },
+
+    complete(key, response, ttlMs, now = Date.now()) {
+      return update(entries => {
+        if (!entries[key]) return;
+        entries[key] = { ...entries[key], state: 'done', response, expiresAt: now + ttlMs };
+      });
+    },
+
+    release(key) {
+      return update(entries => {
+        delete entries[key];
+      });
+    }
+  };
+}
+
+/**
+ * Build the backend selected by the configuration.
+ */
+export function createIdempotencyBackendFromConfig(config) {
+  return config.store === 'memory'
+    ? createMemoryIdempotencyBackend()
+    : createFileIdempotencyBackend({ file: path.join(config.dataDir, 'idempotency-keys.json') });
+}
+
+/**
+ * Wrap a pipeline so repeated keys replay the first successful response.
+ * Requests without a key are processed as before. Rejected submissions release
+ * the key, so the visitor can correct the form and send it again.
+ * @param {{process: Function}} pipeline
+ * @param {Object} options
+ * @param {Object} options.backend - See createMemoryIdempotencyBackend
+ * @param {string} options.scope - Keeps keys of different forms apart
+ * @param {number} [options.ttlMs] - How long a response is replayed
+ * @param {number} [options.waitMs] - How long a repeat waits for the first request
+ * @param {number} [options.pollMs]
+ */
+export function withIdempotency(pipeline, {
+  backend,
+  scope,
+  ttlMs = 24 * 60 * 60 * 1000,
+  waitMs = 10000,
+  pollMs = 100
+}) {
+  async function process(request) {
+    const rawKey = request.headers?.[IDEMPOTENCY_HEADER];
+    if (!rawKey) {
+      return pipeline.process(request);
+    }
+    if (!KEY_REGEX.test(rawKey)) {
+      throw new LeadError(400, 'Ungültiger Idempotency-Key');
+    }
+
+    const key = hash(`${scope}:${rawKey}`);
+    const fingerprint = fingerprintOf(request);
+    const deadline = Date.now() + waitMs;
+
+    for (;;) {
+      const existing = await backend.claim(key, fingerprint);
+
+      if (!existing) break;
+
+      if (existing.fingerprint !== fingerprint) {
+        throw new LeadError(422, 'Dieser Idempotency-Key wurde bereits für eine andere Anfrage verwendet.');
+      }
+
+      if (existing.state === 'done') {
+        return {
+          ...existing.response,
+          headers: { ...existing.response.headers, 'Idempotent-Replayed': 'true' }
+        };
+      }
+
+      if (Date.now() >= deadline) {
+        throw new LeadError(
+          409,
+          'Ihre Anfrage wird bereits bearbeitet. Bitte versuchen Sie es in wenigen Sekunden erneut.',
+          { retryAfter: 5 },
+          { 'Retry-After': '5' }
+        );
+      }
+
+      await wait(pollMs);
+    }
+
+    let response;
+    try {
+      response = await pipeline.process(request);
+    } catch (error) {
+      await backend.release(key);
+      throw error;
+    }
+
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      await backend.complete(key, response, ttlMs);
+    } else {
+      await backend.release(key);
+    }
+
+    return response;
+  }
+
+  return { process };
+}
+
+/**
+ * Hash of the decoded submission. Multipart boundaries differ on every send,
+ * so the raw body cannot be compared.
+ */
+function fingerprintOf(request) {
+  try {
+    const { fields, files } = decodeBody(request.body, request.headers || {});
+    return hash(JSON.stringify({
+      fields: Object.entries(fields).sort(([a], [b]) => a.localeCompare(b)),
+      files: files.map(file => [file.field, file.filename, hash(file.data)])
+    }));
+  } catch (error) {
+    // Malformed bodies are rejected by parseBody; any stable value will do
+    return hash(String(request.body));
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
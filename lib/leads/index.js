@@ -0,0 +1,195 @@
+/**
+ * Lead processing for Flugschule Mallorca
+ * Wires the shared pipeline used by the Vercel and Netlify contact handlers.
+ */
+
+import { createPipeline } from './pipeline.js';
+import {
+  parseBody,
+  normalizeFields,
+  validateSchema,
+  recordConsent,
+  checkHoneypot,
+  enrichLead,
+  storeLead
+} from './stages.js';
+import { logLead } from './dispatchers.js';
+import { loadConfig } from './config.js';
+import { createLeadStoreFromConfig } from './store/index.js';
+import { createMailTransport } from './mail/transports.js';
+import { notifyOffice } from './mail/notification.js';
+import { sendApplicantConfirmation } from './mail/autoresponder.js';
+import { createRateLimitersFromConfig, rateLimit } from './rate-limit.js';
+import { createSpamRulesFromConfig, scoreSpam } from './spam/index.js';
+import { CHARTER_FORM_SCHEMA, CONTACT_FORM_SCHEMA } from '../forms/schema.js';
+import { createDeadLetterStoreFromConfig, dispatchWebhooks } from './webhooks.js';
+import { detectDuplicates } from './duplicates.js';
+import { createIdempotencyBackendFromConfig, withIdempotency } from './idempotency.js';
+import { createLoggerFromConfig } from './logger.js';
+import {
+  checkAttachments,
+  createAttachmentScannersFromConfig,
+  createAttachmentStoreFromConfig,
+  storeAttachments
+} from './attachments.js';
+import {
+  createAdminAttachmentPipeline,
+  createAdminLeadsPipeline,
+  createAdminPagePipeline,
+  createAdminStatusPipeline
+} from './admin/index.js';
+import {
+  createAuditLogFromConfig,
+  createPrivacyConfirmPipeline,
+  createPrivacyRequestPipeline
+} from './privacy/index.js';
+
+export { LeadError } from './errors.js';
+export { createPipeline } from './pipeline.js';
+export { createVercelHandler, createNetlifyHandler, createNodeHandler, handleLeadRequest, FORM_REDIRECTS } from './http.js';
+export { createFormErrorPage } from './form-error.js';
+export { loadConfig } from './config.js';
+export { createLogger, createLoggerFromConfig, logger } from './logger.js';
+export { createLeadStore, createLeadStoreFromConfig, LEAD_STATUSES } from './store/index.js';
+export { createMailTransport } from './mail/transports.js';
+export { createFormTokenEndpoint } from './spam/index.js';
+export { exportLeads, eraseLeads, createAuditLogFromConfig } from './privacy/index.js';
+export { createDeadLetterStoreFromConfig, replayDeadLetters } from './webhooks.js';
+export { createAttachmentStoreFromConfig } from './attachments.js';
+export { sendSlaReminder, sendWeeklySummary, computeSlaStats, findOverdueLeads, assertSharedLeadStore } from './sla.js';
+
+/**
+ * Pipeline for the course contact form.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - See config.js
+ * @param {Object} [options.store] - Lead store, defaults to the configured backend
+ * @param {Object} [options.mailTransport] - Defaults to the configured transport
+ * @param {{ip: Object, email: Object}} [options.rateLimiters] - Defaults to the configured limiters
+ * @param {Object} [options.deadLetters] - Webhook dead-letter store
+ * @param {Object} [options.attachmentStore] - Defaults to the configured backend
+ * @param {Function[]} [options.scanners] - Virus-scan hooks for uploads (see attachments.js)
+ * @param {Object} [options.idempotency] - Idempotency-key backend (see idempotency.js)
+ * @param {Object} [options.logger] - Structured logger (see logger.js)
+ */
+export function createContactPipeline(options) {
+  return createLeadPipeline(CONTACT_FORM_SCHEMA, options);
+}
+
+/**
+ * Pipeline for the charter enquiry form. Stored, scored and notified like
+ * course leads, with `formType: "charter"`.
+ * @param {Object} [options] - See createContactPipeline
+ */
+export function createCharterPipeline(options) {
+  return createLeadPipeline(CHARTER_FORM_SCHEMA, {
+    successMessage: 'Vielen Dank für Ihre Charter-Anfrage! Wir melden uns in Kürze mit einem Angebot bei Ihnen.',
+    ...options
+  });
+}
+
+function createLeadPipeline(schema, {
+  config = loadConfig(),
+  store = createLeadStoreFromConfig(config),
+  mailTransport = createMailTransport(config.mail),
+  rateLimiters = createRateLimitersFromConfig(config),
+  deadLetters = createDeadLetterStoreFromConfig(config),
+  attachmentStore = createAttachmentStoreFromConfig(config),
+  scanners = createAttachmentScannersFromConfig(config),
+  idempotency = createIdempotencyBackendFromConfig(config),
+  logger = createLoggerFromConfig(config),
+  successMessage
+} = {}) {
+  const pipeline = createPipeline({
+    formType: schema.id,
+    successMessage,
+    logger,
+    stages: [
+      rateLimit(rateLimiters.ip, 'ip', ctx => ctx.request.ip),
+      parseBody,
+      checkHoneypot(),
+      normalizeFields,
+      validateSchema(schema),
+      recordConsent(schema),
+      rateLimit(rateLimiters.email, 'email', ctx => ctx.fields.email),
+      checkAttachments(schema, { scanners }),
+      enrichLead(schema),
+      scoreSpam(createSpamRulesFromConfig(config, store), config.spam.threshold),
+      detectDuplicates(store, { windowDays: config.mergeWindowDays }),
+      storeLead(store),
+      storeAttachments({ attachmentStore, store })
+    ],
+    dispatchers: [
+      logLead,
+      notifyOffice({ transport: mailTransport, store, config }),
+      sendApplicantConfirmation({ transport: mailTransport, store, config }),
+      dispatchWebhooks({
+        targets: config.webhooks.targets,
+        deadLetters,
+        store,
+        retry: {
+          attempts: config.webhooks.attempts,
+          timeoutMs: config.webhooks.timeoutMs,
+          budgetMs: config.webhooks.budgetMs
+        }
+      })
+    ]
+  });
+
+  return withIdempotency(pipeline, {
+    backend: idempotency,
+    scope: schema.id,
+    ttlMs: config.idempotencyHours * 60 * 60 * 1000
+  });
+}
+
+/**
+ * Pipeline for `POST /api/privacy-request` (export or erasure, verified by email).
+ * @param {Object} [options] - See createContactPipeline; `auditLog` defaults to the configured log
+ */
+export function createPrivacyRequestEndpoint({
+  config = loadConfig(),
+  store = createLeadStoreFromConfig(config),
+  mailTransport = createMailTransport(config.mail),
+  rateLimiters = createRateLimitersFromConfig(config),
+  auditLog = createAuditLogFromConfig(config)
+} = {}) {
+  return createPrivacyRequestPipeline({ config, store, mailTransport, auditLog, rateLimiters });
+}
+
+/**
+ * Pipeline for `/api/privacy-confirm`: `GET ?token=…` (the emailed verification
+ * link) shows the confirmation page, `POST` with the token carries out the request.
+ * @param {Object} [options] - See createContactPipeline; `auditLog` defaults to the configured log
+ */
+export function createPrivacyConfirmEndpoint({
+  config = loadConfig(),
+  store = createLeadStoreFromConfig(config),
+  auditLog = createAuditLogFromConfig(config),
+  deadLetters = createDeadLetterStoreFromConfig(config),
+  attachmentStore = createAttachmentStoreFromConfig(config)
+} = {}) {
+  return createPrivacyConfirmPipeline({ config, store, auditLog, deadLetters, attachmentStore });
+}
+
+/**
+ * Pipelines for the staff lead inbox: the page (`GET /api/admin`), the lead
+ * list / detail (`GET /api/admin-leads`), status changes
+ * (`POST /api/admin-lead-status`) and attachment downloads
+ * (`GET /api/admin-attachment`).
+ * @param {Object} [options]
+ * @param {Object} [options.config] - See config.js
+ * @param {Object} [options.store] - Lead store, defaults to the configured backend
+ * @param {Object} [options.attachmentStore] - Defaults to the configured backend
+ */
+export function createAdminEndpoints({
+  config = loadConfig(),
+  store = createLeadStoreFromConfig(config),
+  attachmentStore = createAttachmentStoreFromConfig(config)
+} = {}) {
+  return {
+    page: createAdminPagePipeline({ config }),
+    leads: createAdminLeadsPipeline({ config, store }),
+    status: createAdminStatusPipeline({ config, store }),
+    attachment: createAdminAttachmentPipeline({ config, store, attachmentStore })
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Structured logging for the functions
+ * One JSON object per line, so Netlify / Vercel log search can filter by
+ * `level`, `requestId` or `leadId`. Personal data never reaches the hosting
+ * logs in clear text: configured fields are redacted or replaced by an HMAC
+ * keyed with LEAD_HASH_SECRET (stable, so one person's requests can still be
+ * correlated, but not guessable by hashing candidate addresses or numbers),
+ * IP addresses are truncated and email addresses inside messages are hashed.
+ * Without a secret, values that would be hashed are redacted instead.
+ */
+
+import crypto from 'crypto';
+import { loadConfig } from './config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const DEFAULT_REDACT_FIELDS = [
+  'name', 'message', 'departure', 'destination', 'filename',
+  'authorization', 'cookie', 'password', 'token', 'formToken', 'text'
+];
+export const DEFAULT_HASH_FIELDS = ['email', 'phone', 'replyTo', 'to'];
+export const DEFAULT_IP_FIELDS = ['ip', 'clientIp'];
+
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const MAX_DEPTH = 6;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written: debug, info, warn, error or silent
+ * @param {string[]} [options.redactFields] - Keys whose values are replaced by `[redacted]`
+ * @param {string[]} [options.hashFields] - Keys whose values are replaced by an HMAC
+ * @param {string[]} [options.ipFields] - Keys holding IP addresses, truncated to the network
+ * @param {?string} [options.hashSecret] - HMAC key; without one those values are redacted
+ * @param {Object} [options.bindings] - Fields added to every entry
+ * @param {Function} [options.write] - `(level, line) => void`, defaults to the console
+ */
+export function createLogger({
+  level = 'info',
+  redactFields = DEFAULT_REDACT_FIELDS,
+  hashFields = DEFAULT_HASH_FIELDS,
+  ipFields = DEFAULT_IP_FIELDS,
+  hashSecret = null,
+  bindings = {},
+  write = writeToConsole
+} = {}) {
+  const minLevel = LOG_LEVELS.indexOf(level);
+  const rules = {
+    redact: new Set(redactFields.map(field => field.toLowerCase())),
+    hash: new Set(hashFields.map(field => field.toLowerCase())),
+    ip: new Set(ipFields.map(field => field.toLowerCase())),
+    hashSecret
+  };
+
+  function log(entryLevel, msg, data) {
+    if (minLevel === -1 || LOG_LEVELS.indexOf(entryLevel) < minLevel) return;
+
+    const fields = data instanceof Error ? { error: data } : data;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: scrubString(String(msg), rules),
+      ...sanitize({ ...bindings, ...fields }, rules, 0)
+    };
+
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  const logger = {
+    /**
+     * A logger adding `extra` to every entry, e.g. `{ requestId }`.
+     */
+    child(extra) {
+      return createLogger({
+        level,
+        redactFields,
+        hashFields,
+        ipFields,
+        hashSecret,
+        bindings: { ...bindings, ...extra },
+        write
+      });
+    }
+  };
+
+  for (const entryLevel of LOG_LEVELS) {
+    logger[entryLevel] = (msg, data) => log(entryLevel, msg, data);
+  }
+
+  return logger;
+}
+
+/**
+ * Build a logger from the `log` section of the configuration.
+ */
+export function createLoggerFromConfig(config) {
+  const { level, redactFields, hashFields } = config.log;
+  return createLogger({
+    level,
+    redactFields: [...DEFAULT_REDACT_FIELDS, ...redactFields],
+    hashFields: [...DEFAULT_HASH_FIELDS, ...hashFields],
+    hashSecret: config.hashSecret
+  });
+}
+
+/**
+ * Process-wide logger for code that runs outside a request (scheduled jobs,
+ * module setup). Inside the pipeline use `ctx.log`, which carries the request id.
+ */
+export const logger = createLoggerFromConfig(loadConfig());
+
+/**
+ * Shorten an IP address to its network: the last octet of IPv4, everything
+ * after the first three groups of IPv6.
+ */
+export function truncateIp(ip) {
+  if (typeof ip !== 'string' || !ip) return ip;
+
+  const mapped = ip.replace(/^::ffff:/i, '');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(mapped)) {
+    return mapped.replace(/\.\d{1,3}$/, '.0');
+  }
+  if (ip.includes(':')) {
+    return `${ip.split(':').slice(0, 3).join(':')}::`;
+  }
+  return '[redacted]';
+}
+
+/**
+ * Request id from the platform (Netlify, Vercel) or a proxy, or a new one.
+ * @param {Object} headers - Lower-cased request headers
+ */
+export function requestIdFrom(headers = {}) {
+  const given = headers['x-nf-request-id'] || headers['x-vercel-id'] || headers['x-request-id'];
+  return typeof given === 'string' && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+}
+
+function sanitize(value, rules, depth) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrubString(value.message, rules),
+      ...(value.code && { code: value.code }),
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      stack: scrubString(value.stack || '', rules)
+    };
+  }
+  if (typeof value === 'string') return scrubString(value, rules);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => sanitize(item, rules, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const lowerKey = key.toLowerCase();
+
+    if (item === undefined || item === null || item === '') {
+      result[key] = item;
+    } else if (rules.redact.has(lowerKey)) {
+      result[key] = '[redacted]';
+    } else if (rules.hash.has(lowerKey)) {
+      result[key] = hashValue(typeof item === 'string' ? item.toLowerCase() : JSON.stringify(item), rules);
+    } else if (rules.ip.has(lowerKey)) {
+      result[key] = truncateIp(item);
+    } else {
+      result[key] = sanitize(item, rules, depth + 1);
+    }
+  }
+  return result;
+}
+
+function scrubString(value, rules) {
+  return value.replace(EMAIL_REGEX, email => hashValue(email.toLowerCase(), rules));
+}
+
+function hashValue(value, rules) {
+  if (!rules.hashSecret) return '[redacted]';
+
+  const digest = crypto.createHmac('sha256', rules.hashSecret).update(`log:${value}`).digest('hex');
+  return `hmac:${digest.slice(0, 16)}`;
+}
+
+function writeToConsole(level, line) {
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
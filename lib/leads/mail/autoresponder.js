@@ -0,0 +1,71 @@
+/**
+ * Applicant autoresponder
+ * Confirms every enquiry to the applicant, using the template that matches the
+ * form (charter) or the course they are interested in.
+ */
+
+import { deliverWithRetry } from './deliver.js';
+import { renderTemplate, templateExists } from './templates.js';
+import { logger } from '../logger.js';
+
+/**
+ * Pick the applicant template for a lead.
+ * @returns {Promise<string>} Template name below `templates/`
+ */
+export async function selectApplicantTemplate(lead) {
+  const key = lead.formType === 'charter' ? 'charter' : lead.courseInterest;
+
+  if (key && /^[\w-]+$/.test(key) && await templateExists(`applicant/${key}`)) {
+    return `applicant/${key}`;
+  }
+  return 'applicant/default';
+}
+
+/**
+ * Dispatcher that sends the confirmation email to the applicant and records
+ * the delivery on the stored lead. Submissions merged into an existing lead
+ * are not confirmed again.
+ * @param {Object} options
+ * @param {Object} options.transport - Mail transport
+ * @param {Object} options.store - Lead store
+ * @param {Object} options.config - Lead configuration (see config.js)
+ */
+export function sendApplicantConfirmation({ transport, store, config }) {
+  return async function sendApplicantConfirmationDispatcher(lead, ctx) {
+    if (ctx?.merged) return;
+
+    const template = await selectApplicantTemplate(lead);
+    const { subject, html, text } = await renderTemplate(template, {
+      name: lead.name,
+      leadId: lead.id,
+      officeEmail: config.officeEmail,
+      phoneMallorca: config.offices.mallorca,
+      phoneMallorcaLink: toTelLink(config.offices.mallorca),
+      phoneGermany: config.offices.germany,
+      phoneGermanyLink: toTelLink(config.offices.germany)
+    });
+
+    const delivery = await deliverWithRetry(transport, {
+      from: config.mail.from,
+      to: lead.email,
+      replyTo: config.officeEmail,
+      subject,
+      html,
+      text
+    }, { attempts: config.mail.attempts, budgetMs: config.mail.budgetMs });
+
+    await store.recordDelivery(lead.id, { type: 'applicant-confirmation', template, ...delivery });
+
+    if (delivery.status === 'failed') {
+      (ctx?.log || logger).error('Applicant confirmation failed', {
+        leadId: lead.id,
+        attempts: delivery.attempts,
+        error: delivery.error
+      });
+    }
+  };
+}
+
+function toTelLink(phone) {
+  return phone.replace(/[^\d+]/g, '');
+}
@@ -0,0 +1,65 @@
+/**
+ * Mail delivery with retries
+ */
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reject when `promise` has not settled after `ms`. The underlying send is not
+ * cancelled, only no longer waited for.
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Mail delivery timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Send a message, retrying with exponential backoff.
+ * Never throws: the returned delivery record says whether the message went out.
+ *
+ * @param {Object} transport - See transports.js
+ * @param {Object} message
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Total attempts including the first
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled each time
+ * @param {number} [options.budgetMs] - Time for all attempts and delays together,
+ *   for deliveries made while a form request waits; unlimited by default
+ * @returns {Promise<{status: string, attempts: number, at: string, messageId?: string, error?: string}>}
+ */
+export async function deliverWithRetry(transport, message, { attempts = 3, baseDelayMs = 500, budgetMs = Infinity } = {}) {
+  const deadline = Date.now() + budgetMs;
+  let lastError;
+  let attempt = 0;
+
+  while (attempt < attempts) {
+    attempt++;
+    try {
+      const send = transport.send(message);
+      const { messageId } = await (Number.isFinite(budgetMs) ? withTimeout(send, Math.max(0, deadline - Date.now())) : send);
+      return {
+        status: 'sent',
+        transport: transport.name,
+        attempts: attempt,
+        at: new Date().toISOString(),
+        messageId
+      };
+    } catch (error) {
+      lastError = error;
+    }
+
+    const delayMs = baseDelayMs * 2 ** (attempt - 1);
+    if (attempt === attempts || Date.now() + delayMs >= deadline) break;
+    await wait(delayMs);
+  }
+
+  return {
+    status: 'failed',
+    transport: transport.name,
+    attempts: attempt,
+    at: new Date().toISOString(),
+    error: lastError.message
+  };
+}
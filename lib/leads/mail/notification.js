@@ -0,0 +1,84 @@
+/**
+ * Office notification for new leads
+ */
+
+import { deliverWithRetry } from './deliver.js';
+import { renderTemplate } from './templates.js';
+import { findAircraft } from '../../forms/fleet.js';
+import { attachmentUrl } from '../attachments.js';
+import { logger } from '../logger.js';
+
+/**
+ * Render the staff notification as HTML and plain text.
+ * Charter enquiries get their own template; a submission merged into an
+ * existing lead gets the follow-up template, showing the latest interaction.
+ * @param {Object} lead
+ * @param {Object} [options]
+ * @param {boolean} [options.merged]
+ * @param {string} [options.siteUrl] - Base for attachment links into the lead inbox
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+export function renderOfficeNotification(lead, { merged = false, siteUrl = '' } = {}) {
+  const attachments = (lead.attachments || []).map(attachment => ({
+    ...attachment,
+    url: attachmentUrl(siteUrl, lead.id, attachment.id),
+    sizeLabel: `${Math.max(1, Math.round(attachment.size / 1024))} KB`
+  }));
+  const data = {
+    lead,
+    attachments,
+    attachmentCount: attachments.length > 0 ? String(attachments.length) : 'Keine'
+  };
+
+  if (merged) {
+    const interactions = lead.interactions || [];
+    return renderTemplate('office/lead-interaction', {
+      ...data,
+      interaction: interactions[interactions.length - 1],
+      interactionCount: interactions.length
+    });
+  }
+  if (lead.formType === 'charter') {
+    return renderTemplate('office/new-charter', {
+      ...data,
+      aircraftName: findAircraft(lead.aircraft)?.name || lead.aircraft
+    });
+  }
+  return renderTemplate('office/new-lead', data);
+}
+
+/**
+ * Dispatcher that emails every new lead to the office inbox and records the
+ * delivery outcome on the stored lead.
+ * @param {Object} options
+ * @param {Object} options.transport - Mail transport
+ * @param {Object} options.store - Lead store
+ * @param {Object} options.config - Lead configuration (see config.js)
+ */
+export function notifyOffice({ transport, store, config }) {
+  return async function notifyOfficeDispatcher(lead, ctx) {
+    const { subject, html, text } = await renderOfficeNotification(lead, {
+      merged: ctx?.merged,
+      siteUrl: config.siteUrl
+    });
+
+    const delivery = await deliverWithRetry(transport, {
+      from: config.mail.from,
+      to: config.officeEmail,
+      replyTo: lead.email,
+      subject,
+      html,
+      text
+    }, { attempts: config.mail.attempts, budgetMs: config.mail.budgetMs });
+
+    await store.recordDelivery(lead.id, { type: 'office-notification', ...delivery });
+
+    if (delivery.status === 'failed') {
+      (ctx?.log || logger).error('Office notification failed', {
+        leadId: lead.id,
+        attempts: delivery.attempts,
+        error: delivery.error
+      });
+    }
+  };
+}
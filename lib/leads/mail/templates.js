@@ -0,0 +1,184 @@
+/**
+ * Email templates
+ * Templates live as files next to this module so office staff can edit the
+ * wording without touching code. Each template has a `<name>.html` and a
+ * `<name>.txt` file; the text file starts with a `Subject: …` line.
+ *
+ * Syntax:
+ *   {{ key }}                 value, HTML-escaped in the HTML version
+ *   {{ lead.name }}           dotted paths
+ *   {{ phone | default:"–" }} filters, applied left to right
+ *   {{> partials/footer }}    partial, rendered with the same data and mode
+ *   {{#each leads as lead}} … {{/each}}
+ *                             repeat the block per list item (blocks do not nest)
+ *
+ * There is deliberately no raw-output syntax: every value is escaped.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+const MAX_PARTIAL_DEPTH = 5;
+
+const TAG_REGEX = /\{\{\s*(>?)\s*([\w./-]+)((?:\s*\|\s*\w+(?::"[^"]*")?)*)\s*\}\}/g;
+const FILTER_REGEX = /\|\s*(\w+)(?::"([^"]*)")?/g;
+const EACH_REGEX = /\{\{#each\s+([\w.]+)\s+as\s+(\w+)\s*\}\}([\s\S]*?)\{\{\/each\}\}/g;
+
+/**
+ * Filters that work on the raw value, before escaping.
+ */
+const VALUE_FILTERS = {
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: value => String(value ?? '').toUpperCase(),
+  lower: value => String(value ?? '').toLowerCase()
+};
+
+/**
+ * Filters that work on the escaped output.
+ */
+const OUTPUT_FILTERS = {
+  nl2br: (output, mode) => (mode === 'html' ? output.replace(/\r?\n/g, '<br>\n') : output)
+};
+
+/**
+ * Load and render a template in both versions.
+ * @param {string} name - Path below the templates directory, e.g. `applicant/online-solo`
+ * @param {Object} data - Placeholder values
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+export async function renderTemplate(name, data) {
+  const [htmlSource, textSource] = await Promise.all([
+    readTemplate(name, 'html'),
+    readTemplate(name, 'txt')
+  ]);
+
+  const { subject, body } = splitSubject(textSource);
+
+  return {
+    subject: (await renderString(subject, data, { mode: 'text' })).replace(/\s+/g, ' ').trim(),
+    html: await renderString(htmlSource, data, { mode: 'html' }),
+    text: await renderString(body, data, { mode: 'text' })
+  };
+}
+
+/**
+ * Render a template string.
+ * @param {string} source
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {'html'|'text'} [options.mode] - `html` escapes values and loads `.html` partials
+ * @returns {Promise<string>}
+ */
+export async function renderString(source, data, { mode = 'html', depth = 0 } = {}) {
+  // Rendered segments are concatenated, never re-scanned, so values cannot inject tags
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(EACH_REGEX)) {
+    const [block, listKey, alias, body] = match;
+    const items = lookup(data, listKey);
+
+    output += await renderTags(source.slice(lastIndex, match.index), data, mode, depth);
+    for (const item of Array.isArray(items) ? items : []) {
+      output += await renderTags(body.replace(/^\r?\n/, ''), { ...data, [alias]: item }, mode, depth);
+    }
+    lastIndex = match.index + block.length;
+  }
+
+  return output + await renderTags(source.slice(lastIndex), data, mode, depth);
+}
+
+async function renderTags(source, data, mode, depth) {
+  const partials = new Map();
+
+  for (const [, isPartial, name] of source.matchAll(TAG_REGEX)) {
+    if (isPartial && !partials.has(name)) {
+      if (depth >= MAX_PARTIAL_DEPTH) {
+        throw new Error(`Template partials nested too deeply at "${name}"`);
+      }
+      const partialSource = await readTemplate(name, mode === 'html' ? 'html' : 'txt');
+      partials.set(name, await renderString(partialSource.replace(/\r?\n$/, ''), data, { mode, depth: depth + 1 }));
+    }
+  }
+
+  return source.replace(TAG_REGEX, (match, isPartial, name, filterChain) => {
+    if (isPartial) {
+      return partials.get(name);
+    }
+    return renderValue(lookup(data, name), filterChain, mode);
+  });
+}
+
+/**
+ * Check whether a template exists.
+ */
+export async function templateExists(name) {
+  try {
+    await fs.access(templatePath(name, 'txt'));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value, filterChain, mode) {
+  const filters = [...filterChain.matchAll(FILTER_REGEX)].map(([, filterName, arg]) => [filterName, arg]);
+
+  for (const [filterName, arg] of filters) {
+    if (VALUE_FILTERS[filterName]) {
+      value = VALUE_FILTERS[filterName](value, arg);
+    } else if (!OUTPUT_FILTERS[filterName]) {
+      throw new Error(`Unknown template filter: ${filterName}`);
+    }
+  }
+
+  let output = value === undefined || value === null ? '' : String(value);
+  if (mode === 'html') {
+    output = escapeHtml(output);
+  }
+
+  for (const [filterName] of filters) {
+    if (OUTPUT_FILTERS[filterName]) {
+      output = OUTPUT_FILTERS[filterName](output, mode);
+    }
+  }
+
+  return output;
+}
+
+function lookup(data, key) {
+  return key.split('.').reduce((object, part) => (
+    object !== null && typeof object === 'object' && Object.hasOwn(object, part) ? object[part] : undefined
+  ), data);
+}
+
+function templatePath(name, extension) {
+  const file = path.resolve(TEMPLATE_DIR, `${name}.${extension}`);
+  if (!file.startsWith(TEMPLATE_DIR + path.sep)) {
+    throw new Error(`Invalid template name: ${name}`);
+  }
+  return file;
+}
+
+function readTemplate(name, extension) {
+  return fs.readFile(templatePath(name, extension), 'utf8');
+}
+
+function splitSubject(source) {
+  const match = source.match(/^Subject:\s*(.*)\r?\n(?:\r?\n)?/);
+  if (!match) {
+    return { subject: '', body: source };
+  }
+  return { subject: match[1].trim(), body: source.slice(match[0].length) };
+}
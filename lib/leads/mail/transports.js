@@ -0,0 +1,83 @@
+/**
+ * Mail transports
+ * Every transport exposes `send(message)` with a nodemailer-style message
+ * (`from`, `to`, `replyTo`, `subject`, `html`, `text`) and resolves to
+ * `{ messageId }` once the message has been handed over.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Deliver through an SMTP server (production relay or a local catcher like MailHog).
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} [options.secure]
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {number} [options.timeoutMs] - For connecting, the greeting and each
+ *   read; nodemailer's defaults (up to 10 minutes) outlast any function
+ */
+export function createSmtpTransport({ host, port, secure = false, user, pass, timeoutMs = 2000 }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * Write each message as an .eml file for local development.
+ * @param {Object} options
+ * @param {string} options.dir - Drop directory
+ */
+export function createFileTransport({ dir }) {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix'
+  });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, info.message);
+
+      return { messageId: info.messageId, file };
+    }
+  };
+}
+
+/**
+ * Build the transport selected by the mail configuration.
+ */
+export function createMailTransport(mailConfig) {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return createSmtpTransport(mailConfig.smtp);
+    case 'file':
+      return createFileTransport({ dir: mailConfig.dropDir });
+    default:
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+}
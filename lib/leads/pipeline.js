@@ -0,0 +1,100 @@
+/**
+ * Platform-neutral lead pipeline
+ * Runs a submission through parse → normalize → validate → spam-check → enrich,
+ * then hands the finished lead to every dispatcher.
+ */
+
+import { logger as defaultLogger } from './logger.js';
+
+export const DEFAULT_SUCCESS_MESSAGE = 'Vielen Dank für Ihre Anfrage! Wir werden uns bald bei Ihnen melden.';
+
+/**
+ * Create a pipeline from an ordered list of stages and dispatchers.
+ *
+ * A stage is `async (ctx) => void`. It reads and writes `ctx.fields` / `ctx.lead`,
+ * throws a LeadError to reject the submission, or sets `ctx.response` to end
+ * processing early with its own response.
+ *
+ * A dispatcher is `async (lead, ctx) => void`. Dispatchers run after all stages;
+ * a failing dispatcher is logged and does not affect the others or the response.
+ * Quarantined leads (`ctx.quarantined`) are not dispatched.
+ *
+ * Stages and dispatchers log through `ctx.log`, which adds the request id.
+ *
+ * @param {Object} options
+ * @param {Function[]} options.stages
+ * @param {Function[]} [options.dispatchers]
+ * @param {string} [options.formType] - Recorded on every lead, e.g. `contact` or `charter`
+ * @param {string} [options.successMessage]
+ * @param {Object} [options.logger] - Structured logger, see logger.js
+ */
+export function createPipeline({
+  stages,
+  dispatchers = [],
+  formType = 'contact',
+  successMessage = DEFAULT_SUCCESS_MESSAGE,
+  logger = defaultLogger
+}) {
+  async function dispatch(lead, ctx) {
+    for (const dispatcher of dispatchers) {
+      try {
+        await dispatcher(lead, ctx);
+      } catch (error) {
+        ctx.log.error('Lead dispatch failed', { dispatcher: dispatcher.name || 'anonymous', leadId: lead.id, error });
+      }
+    }
+  }
+
+  /**
+   * Process a platform-neutral request.
+   * @param {{id?: string, method: string, headers: Object, query: Object, body: *, ip: ?string}} request
+   * @returns {Promise<{statusCode: number, headers?: Object, body: *}>}
+   */
+  async function process(request) {
+    const ctx = {
+      request,
+      requestId: request.id || null,
+      log: logger.child({ requestId: request.id, formType }),
+      formType,
+      fields: {},
+      files: [],
+      lead: null,
+      quarantined: false,
+      duplicateOf: null,
+      merged: false,
+      response: null
+    };
+
+    for (const stage of stages) {
+      await stage(ctx);
+      if (ctx.response) {
+        return ctx.response;
+      }
+    }
+
+    if (ctx.quarantined) {
+      ctx.log.warn('Lead quarantined', { leadId: ctx.lead.id, spamScore: ctx.lead.spam?.score });
+    } else {
+      await dispatch(ctx.lead, ctx);
+    }
+
+    return ctx.response || {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: successMessage,
+        leadId: ctx.lead.id,
+        merged: ctx.merged
+      }
+    };
+  }
+
+  return { process };
+}
+
+/**
+ * Generate a lead id in the format the browser already receives.
+ */
+export function createLeadId() {
+  return `lead_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Audit log for data-subject requests
+ * Records who asked for what and which leads were affected. The email address
+ * itself is only stored as an HMAC keyed with LEAD_HASH_SECRET, so the log
+ * survives an erasure and its hashes cannot be matched against guessed addresses.
+ * Confirmed verification links are recorded by token hash, which makes each
+ * link single-use.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, updateJsonFile } from '../store/json-file.js';
+
+/**
+ * Hash an email address for the audit log and pseudonymized leads.
+ * @param {string} email
+ * @param {string} secret - LEAD_HASH_SECRET
+ */
+export function hashSubject(email, secret) {
+  if (!secret) {
+    throw new Error('LEAD_HASH_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', secret).update(`subject:${String(email).trim().toLowerCase()}`).digest('hex');
+}
+
+/**
+ * Audit entries kept in memory, per function instance.
+ * @param {Object} options
+ * @param {string} options.secret - Key for hashSubject
+ */
+export function createMemoryAuditLog({ secret }) {
+  const entries = [];
+
+  return {
+    hashSubject(email) {
+      return hashSubject(email, secret);
+    },
+
+    async add(entry) {
+      entries.push(structuredClone(entry));
+    },
+
+    async claim(entry) {
+      if (entries.some(existing => existing.tokenId === entry.tokenId)) return false;
+      entries.push(structuredClone(entry));
+      return true;
+    },
+
+    async list() {
+      return entries.map(entry => structuredClone(entry));
+    }
+  };
+}
+
+/**
+ * Audit entries persisted in a single JSON file. Entries are never removed.
+ * @param {Object} options
+ * @param {string} options.file
+ * @param {string} options.secret - Key for hashSubject
+ */
+export function createFileAuditLog({ file, secret }) {
+  return {
+    hashSubject(email) {
+      return hashSubject(email, secret);
+    },
+
+    add(entry) {
+      return updateJsonFile(file, [], entries => {
+        entries.push(entry);
+      });
+    },
+
+    // Check and append under the file lock, so two clicks cannot both pass
+    claim(entry) {
+      return updateJsonFile(file, [], entries => {
+        if (entries.some(existing => existing.tokenId === entry.tokenId)) return false;
+        entries.push(entry);
+        return true;
+      });
+    },
+
+    list() {
+      return readJsonFile(file, []);
+    }
+  };
+}
+
+/**
+ * Build the audit log selected by the configuration.
+ */
+export function createAuditLogFromConfig(config) {
+  return config.store === 'memory'
+    ? createMemoryAuditLog({ secret: config.hashSecret })
+    : createFileAuditLog({ file: path.join(config.dataDir, 'privacy-audit.json'), secret: config.hashSecret });
+}
+
+/**
+ * Append an entry with id and timestamp.
+ * @param {Object} auditLog
+ * @param {Object} entry - `{ event, action, email, leadIds, via, … }`; `email` is stored hashed
+ */
+export async function recordAudit(auditLog, { email, ...entry }) {
+  const record = {
+    id: `pra_${crypto.randomUUID()}`,
+    at: new Date().toISOString(),
+    subjectHash: auditLog.hashSubject(email),
+    ...entry
+  };
+  await auditLog.add(record);
+  return record;
+}
+
+/**
+ * Id under which a verification token is recorded once used.
+ */
+export function privacyTokenId(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Record that a verification link was used. Resolves to false when it had
+ * been used before, in which case nothing is recorded.
+ * @param {Object} auditLog
+ * @param {Object} options
+ * @param {string} options.token - The verification token; only its hash is stored
+ * @param {string} options.email
+ * @param {string} options.action
+ */
+export function claimPrivacyToken(auditLog, { token, email, action }) {
+  return auditLog.claim({
+    id: `pra_${crypto.randomUUID()}`,
+    at: new Date().toISOString(),
+    subjectHash: auditLog.hashSubject(email),
+    event: 'confirmed',
+    action,
+    tokenId: privacyTokenId(token),
+    via: 'email-link'
+  });
+}
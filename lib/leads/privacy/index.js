@@ -0,0 +1,422 @@
+/**
+ * Data-subject requests (GDPR Art. 15 access / Art. 17 erasure)
+ * A visitor asks for an export or erasure at /api/privacy-request and receives
+ * a verification link by email; following it opens /api/privacy-confirm, where
+ * the request is confirmed with a button. The admin CLI (scripts/privacy.js)
+ * calls exportLeads / eraseLeads directly.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPipeline } from '../pipeline.js';
+import { LeadError } from '../errors.js';
+import { isBrowserFormPost } from '../body.js';
+import { parseBody, normalizeFields, validateSchema } from '../stages.js';
+import { rateLimit } from '../rate-limit.js';
+import { deliverWithRetry } from '../mail/deliver.js';
+import { renderString, renderTemplate } from '../mail/templates.js';
+import { PRIVACY_REQUEST_SCHEMA } from '../../forms/schema.js';
+import { issuePrivacyToken, verifyPrivacyToken } from './token.js';
+import { claimPrivacyToken, privacyTokenId, recordAudit } from './audit.js';
+
+export { issuePrivacyToken, verifyPrivacyToken } from './token.js';
+export { createAuditLogFromConfig, createFileAuditLog, createMemoryAuditLog, hashSubject } from './audit.js';
+
+const REQUEST_ACCEPTED_MESSAGE = 'Vielen Dank. Sie erhalten in Kürze eine E-Mail an diese Adresse, bei gespeicherten Daten mit einem Bestätigungslink.';
+const INVALID_TOKEN_MESSAGE = 'Der Bestätigungslink ist ungültig, abgelaufen oder wurde bereits verwendet. Bitte stellen Sie Ihre Anfrage erneut.';
+const ERASED_MESSAGE = 'Ihre Daten wurden gelöscht.';
+
+const CONFIRM_PAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'pages', 'privacy-confirm.html');
+const CONFIRM_PATH = '/api/privacy-confirm';
+
+const ACTION_LABELS = {
+  export: 'Auskunft über Ihre gespeicherten Daten',
+  erase: 'Löschung Ihrer gespeicherten Daten'
+};
+
+const CONFIRM_BUTTONS = {
+  export: 'Daten herunterladen',
+  erase: 'Daten endgültig löschen'
+};
+
+// Fields kept on a pseudonymized lead; everything else is personal data.
+// The consent record stays as proof of the lawful basis for past processing.
+const RETAINED_LEAD_FIELDS = ['id', 'formType', 'courseInterest', 'consent', 'status', 'createdAt', 'updatedAt', 'timestamp', 'deliveries'];
+
+/**
+ * Everything stored for an email address: the leads it owns, including leads
+ * already pseudonymized for it (matched by `subjectHash`), and its submissions
+ * that were merged into another person's lead as interactions.
+ * @param {Object} store - Lead store
+ * @param {Object} auditLog - Hashes the address, see audit.js
+ * @param {string} email
+ * @returns {Promise<{leads: Object[], interactions: {leadId: string, interaction: Object}[]}>}
+ */
+export async function findLeadsByEmail(store, auditLog, email) {
+  const matches = subjectMatcher(auditLog, email);
+
+  const leads = [];
+  const interactions = [];
+  for (const lead of await store.list()) {
+    if (matches(lead)) {
+      leads.push(lead);
+      continue;
+    }
+    for (const interaction of lead.interactions || []) {
+      if (matchesInteraction(matches, interaction)) {
+        interactions.push({ leadId: lead.id, interaction });
+      }
+    }
+  }
+
+  return { leads, interactions };
+}
+
+/**
+ * Export everything stored about an email address.
+ * @param {Object} options
+ * @param {Object} options.store
+ * @param {Object} options.auditLog
+ * @param {string} options.email
+ * @param {string} options.via - `email-link` or `cli`
+ */
+export async function exportLeads({ store, auditLog, email, via }) {
+  const { leads, interactions } = await findLeadsByEmail(store, auditLog, email);
+
+  await recordAudit(auditLog, {
+    event: 'exported',
+    action: 'export',
+    email,
+    leadIds: leads.map(lead => lead.id),
+    interactionLeadIds: uniqueLeadIds(interactions),
+    via
+  });
+
+  // Merged submissions are exported on their own: the lead they were merged
+  // into belongs to someone else
+  return {
+    email,
+    exportedAt: new Date().toISOString(),
+    leads,
+    interactions: interactions.map(({ interaction }) => interaction)
+  };
+}
+
+/**
+ * Erase everything stored about an email address: the leads themselves, their
+ * uploaded documents, webhook dead letters still carrying a copy and
+ * submissions merged into other people's leads.
+ * @param {Object} options
+ * @param {Object} options.store
+ * @param {Object} options.auditLog
+ * @param {Object} [options.deadLetters]
+ * @param {Object} [options.attachmentStore]
+ * @param {string} options.email
+ * @param {'pseudonymize'|'delete'} options.mode
+ * @param {string} options.via - `email-link` or `cli`
+ */
+export async function eraseLeads({ store, auditLog, deadLetters, attachmentStore, email, mode, via }) {
+  if (mode !== 'pseudonymize' && mode !== 'delete') {
+    throw new Error(`Unknown erasure mode: ${mode}`);
+  }
+
+  const { leads, interactions } = await findLeadsByEmail(store, auditLog, email);
+  const erasedAt = new Date().toISOString();
+  const subjectHash = auditLog.hashSubject(email);
+
+  for (const lead of leads) {
+    // Documents are personal data in either mode
+    if (attachmentStore) {
+      await attachmentStore.removeAll(lead.id);
+    }
+
+    if (mode === 'delete') {
+      await store.remove(lead.id);
+    } else if (!lead.pseudonymized) {
+      await store.save(pseudonymizeLead(lead, subjectHash, erasedAt));
+    }
+  }
+
+  const matches = subjectMatcher(auditLog, email);
+  for (const leadId of uniqueLeadIds(interactions)) {
+    await store.update(leadId, record => ({
+      ...record,
+      interactions: (record.interactions || []).flatMap(interaction => {
+        if (!matchesInteraction(matches, interaction)) return [interaction];
+        if (mode === 'delete') return [];
+        return [interaction.pseudonymized ? interaction : pseudonymizeInteraction(interaction, subjectHash, erasedAt)];
+      })
+    }));
+  }
+
+  let deadLettersRemoved = 0;
+  if (deadLetters) {
+    const ids = new Set(leads.map(lead => lead.id));
+    for (const entry of await deadLetters.list()) {
+      if (ids.has(entry.payload?.lead?.id) && await deadLetters.remove(entry.deliveryId)) {
+        deadLettersRemoved++;
+      }
+    }
+  }
+
+  await recordAudit(auditLog, {
+    event: 'erased',
+    action: 'erase',
+    mode,
+    email,
+    leadIds: leads.map(lead => lead.id),
+    interactionLeadIds: uniqueLeadIds(interactions),
+    deadLettersRemoved,
+    via
+  });
+
+  return { erased: leads.length, interactions: interactions.length, mode };
+}
+
+/**
+ * Strip a lead down to non-personal fields. Status history is kept without
+ * notes, interactions without their content, so statistics stay correct.
+ * @param {Object} lead
+ * @param {string} subjectHash - See hashSubject, keeps the lead findable for later requests
+ * @param {string} [erasedAt]
+ */
+export function pseudonymizeLead(lead, subjectHash, erasedAt = new Date().toISOString()) {
+  const record = {};
+  for (const field of RETAINED_LEAD_FIELDS) {
+    if (field in lead) record[field] = lead[field];
+  }
+
+  return {
+    ...record,
+    statusHistory: (lead.statusHistory || []).map(({ from, to, at, by }) => ({ from, to, at, by })),
+    interactions: (lead.interactions || []).map(({ at, formType, fields }) => ({ at, formType, consent: fields?.consent })),
+    subjectHash,
+    pseudonymized: true,
+    erasedAt
+  };
+}
+
+/**
+ * Strip a merged submission down to when it happened and the consent given.
+ */
+export function pseudonymizeInteraction(interaction, subjectHash, erasedAt = new Date().toISOString()) {
+  return {
+    at: interaction.at,
+    formType: interaction.formType,
+    consent: interaction.fields?.consent,
+    subjectHash,
+    pseudonymized: true,
+    erasedAt
+  };
+}
+
+/**
+ * Endpoint accepting `{ email, action }` and emailing the verification link.
+ * The response is the same whether or not leads exist, and so is the work
+ * behind it (addresses without data are emailed that nothing is stored), so
+ * neither its content nor its timing tells who has contacted the school.
+ * @param {Object} options
+ * @param {Object} options.config
+ * @param {Object} options.store
+ * @param {Object} options.mailTransport
+ * @param {Object} options.auditLog
+ * @param {{ip: Object, email: Object}} options.rateLimiters
+ */
+export function createPrivacyRequestPipeline({ config, store, mailTransport, auditLog, rateLimiters }) {
+  return createPipeline({
+    formType: 'privacy',
+    stages: [
+      requireSecret(config),
+      rateLimit(rateLimiters.ip, 'privacy-ip', ctx => ctx.request.ip),
+      parseBody,
+      normalizeFields,
+      validateSchema(PRIVACY_REQUEST_SCHEMA),
+      rateLimit(rateLimiters.email, 'privacy-email', ctx => ctx.fields.email),
+      sendVerification({ config, store, mailTransport, auditLog })
+    ]
+  });
+}
+
+/**
+ * Endpoint behind the emailed link. `GET /api/privacy-confirm?token=…` only
+ * shows a page with a confirmation button, because mail scanners and link
+ * previews open links on their own; the button posts the token back and that
+ * POST runs the export or erasure. A token works once: its use is recorded in
+ * the audit log before anything happens.
+ * @param {Object} options
+ * @param {Object} options.config
+ * @param {Object} options.store
+ * @param {Object} options.auditLog
+ * @param {Object} [options.deadLetters]
+ * @param {Object} [options.attachmentStore]
+ */
+export function createPrivacyConfirmPipeline({ config, store, auditLog, deadLetters, attachmentStore }) {
+  return createPipeline({
+    formType: 'privacy',
+    stages: [
+      requireSecret(config),
+      showConfirmationPage({ config, auditLog }),
+      parseBody,
+      async function confirmPrivacyRequestStage(ctx) {
+        const { token } = ctx.fields;
+        const claims = verifyPrivacyToken(token, config.privacy.tokenSecret);
+        if (!claims || !await claimPrivacyToken(auditLog, { token, email: claims.email, action: claims.action })) {
+          if (isBrowserFormPost(ctx.request)) {
+            ctx.response = await renderPrivacyPage(config, { statusCode: 410, title: 'Link ungültig', message: INVALID_TOKEN_MESSAGE });
+            return;
+          }
+          throw new LeadError(410, INVALID_TOKEN_MESSAGE);
+        }
+
+        if (claims.action === 'export') {
+          const data = await exportLeads({ store, auditLog, email: claims.email, via: 'email-link' });
+          ctx.response = {
+            statusCode: 200,
+            headers: {
+              'Cache-Control': 'no-store',
+              'Content-Disposition': 'attachment; filename="flugschule-mallorca-daten.json"'
+            },
+            body: data
+          };
+          return;
+        }
+
+        const { erased } = await eraseLeads({
+          store,
+          auditLog,
+          deadLetters,
+          attachmentStore,
+          email: claims.email,
+          mode: config.privacy.erasureMode,
+          via: 'email-link'
+        });
+        ctx.response = isBrowserFormPost(ctx.request)
+          ? await renderPrivacyPage(config, { title: 'Daten gelöscht', message: ERASED_MESSAGE })
+          : {
+            statusCode: 200,
+            headers: { 'Cache-Control': 'no-store' },
+            body: { success: true, message: ERASED_MESSAGE, erased }
+          };
+      }
+    ]
+  });
+}
+
+function showConfirmationPage({ config, auditLog }) {
+  return async function showPrivacyConfirmationPageStage(ctx) {
+    if (ctx.request.method !== 'GET') return;
+
+    const token = ctx.request.query?.token;
+    const claims = verifyPrivacyToken(token, config.privacy.tokenSecret);
+    const used = claims && (await auditLog.list()).some(entry => entry.tokenId === privacyTokenId(token));
+
+    ctx.response = claims && !used
+      ? await renderPrivacyPage(config, {
+        title: 'Anfrage bestätigen',
+        message: `Bitte bestätigen Sie Ihre Anfrage zur ${ACTION_LABELS[claims.action]}.`,
+        forms: [{ action: CONFIRM_PATH, token, button: CONFIRM_BUTTONS[claims.action] }]
+      })
+      : await renderPrivacyPage(config, { statusCode: 410, title: 'Link ungültig', message: INVALID_TOKEN_MESSAGE });
+  };
+}
+
+async function renderPrivacyPage(config, { statusCode = 200, title, message, forms = [] }) {
+  const html = await renderString(await fs.readFile(CONFIRM_PAGE, 'utf8'), {
+    title,
+    message,
+    forms,
+    officeEmail: config.officeEmail
+  }, { mode: 'html' });
+
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex',
+      'Referrer-Policy': 'no-referrer'
+    },
+    body: html
+  };
+}
+
+function uniqueLeadIds(interactions) {
+  return [...new Set(interactions.map(({ leadId }) => leadId))];
+}
+
+/**
+ * Predicate for records (`{ email, subjectHash }`) belonging to an email
+ * address, before or after pseudonymization.
+ */
+function subjectMatcher(auditLog, email) {
+  const normalized = String(email).trim().toLowerCase();
+  const subjectHash = auditLog.hashSubject(normalized);
+  return record => (
+    String(record.email || '').toLowerCase() === normalized || record.subjectHash === subjectHash
+  );
+}
+
+function matchesInteraction(matches, interaction) {
+  return matches({ email: interaction.fields?.email, subjectHash: interaction.subjectHash });
+}
+
+function requireSecret(config) {
+  return async function requirePrivacySecretStage(ctx) {
+    if (!config.privacy.tokenSecret || !config.hashSecret) {
+      ctx.log.error('Privacy requests need PRIVACY_TOKEN_SECRET and LEAD_HASH_SECRET');
+      throw new LeadError(503, `Diese Funktion ist derzeit nicht verfügbar. Bitte schreiben Sie an ${config.officeEmail}.`);
+    }
+  };
+}
+
+function sendVerification({ config, store, mailTransport, auditLog }) {
+  return async function sendPrivacyVerificationStage(ctx) {
+    const { email, action } = ctx.fields;
+    const { leads, interactions } = await findLeadsByEmail(store, auditLog, email);
+
+    await recordAudit(auditLog, {
+      event: 'requested',
+      action,
+      email,
+      leadIds: leads.map(lead => lead.id),
+      interactionLeadIds: uniqueLeadIds(interactions),
+      via: 'email-link'
+    });
+
+    // Addresses without data get an email saying so, rendered and sent the
+    // same way, so the response time does not reveal whether leads exist
+    const hasData = leads.length > 0 || interactions.length > 0;
+    const token = hasData
+      ? issuePrivacyToken({ email, action }, config.privacy.tokenSecret, config.privacy.tokenTtlMinutes)
+      : null;
+    const { subject, html, text } = await renderTemplate(hasData ? 'privacy/verification' : 'privacy/no-data', {
+      actionLabel: ACTION_LABELS[action],
+      link: token ? `${config.siteUrl}/api/privacy-confirm?token=${token}` : null,
+      ttlMinutes: config.privacy.tokenTtlMinutes,
+      officeEmail: config.officeEmail
+    });
+
+    const delivery = await deliverWithRetry(mailTransport, {
+      from: config.mail.from,
+      to: email,
+      replyTo: config.officeEmail,
+      subject,
+      html,
+      text
+    }, { attempts: config.mail.attempts, budgetMs: config.mail.budgetMs });
+
+    if (delivery.status === 'failed') {
+      ctx.log.error('Privacy request email failed', {
+        email,
+        attempts: delivery.attempts,
+        error: delivery.error
+      });
+    }
+
+    ctx.response = {
+      statusCode: 202,
+      body: { success: true, message: REQUEST_ACCEPTED_MESSAGE }
+    };
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Signed verification tokens for data-subject requests
+ * The token is emailed to the address the request is about, so following the
+ * link proves control of the mailbox. Format: `<payload>.<signature>` where the
+ * payload is base64url JSON `{ email, action, expiresAt }`.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @param {{email: string, action: string}} request
+ * @param {string} secret
+ * @param {number} ttlMinutes
+ * @param {number} [now]
+ */
+export function issuePrivacyToken({ email, action }, secret, ttlMinutes, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({
+    email,
+    action,
+    expiresAt: now + ttlMinutes * 60 * 1000
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * @param {string} token
+ * @param {string} secret
+ * @param {number} [now]
+ * @returns {?{email: string, action: string, expiresAt: number}} null when invalid or expired
+ */
+export function verifyPrivacyToken(token, secret, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2) return null;
+
+  const expected = Buffer.from(sign(parts[0], secret));
+  const actual = Buffer.from(parts[1]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  return claims && typeof claims.email === 'string' && claims.expiresAt > now ? claims : null;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(`privacy.${payload}`).digest('base64url');
+}
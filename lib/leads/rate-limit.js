@@ -0,0 +1,169 @@
+/**
+ * Rate limiting for lead submissions
+ * Fixed-window counters keyed by IP address or email. Keys are hashed with an
+ * HMAC before they reach a backend, so no raw addresses end up on disk and
+ * the stored keys cannot be reversed by hashing candidate addresses.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { LeadError } from './errors.js';
+import { logger } from './logger.js';
+import { updateJsonFile } from './store/json-file.js';
+
+// Used by the memory backend when LEAD_HASH_SECRET is not set; its counters
+// only live in one function instance anyway
+const FALLBACK_SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * In-memory counters, per function instance.
+ */
+export function createMemoryRateLimitBackend() {
+  const windows = new Map();
+
+  return {
+    async hit(key, windowMs, now = Date.now()) {
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+      }
+      entry.count += 1;
+      windows.set(key, entry);
+
+      // Drop expired windows so the map does not grow forever
+      for (const [storedKey, stored] of windows) {
+        if (stored.resetAt <= now) windows.delete(storedKey);
+      }
+
+      return { ...entry };
+    }
+  };
+}
+
+/**
+ * Counters persisted in a single JSON file.
+ * @param {Object} options
+ * @param {string} options.file
+ */
+export function createFileRateLimitBackend({ file }) {
+  return {
+    hit(key, windowMs, now = Date.now()) {
+      return updateJsonFile(file, {}, windows => {
+        for (const [storedKey, stored] of Object.entries(windows)) {
+          if (stored.resetAt <= now) delete windows[storedKey];
+        }
+
+        const entry = windows[key] || { count: 0, resetAt: now + windowMs };
+        entry.count += 1;
+        windows[key] = entry;
+        return { ...entry };
+      });
+    }
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.backend
+ * @param {number} options.windowMs
+ * @param {number} options.limit - Allowed hits per window, 0 disables the limiter
+ * @param {string} options.secret - HMAC key for the stored keys
+ */
+export function createRateLimiter({ backend, windowMs, limit, secret }) {
+  return {
+    /**
+     * Count a hit for `key`.
+     * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in seconds
+     */
+    async hit(key) {
+      if (!limit) {
+        return { allowed: true, retryAfter: 0 };
+      }
+
+      const now = Date.now();
+      const { count, resetAt } = await backend.hit(hashKey(key, secret), windowMs, now);
+
+      return {
+        allowed: count <= limit,
+        retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000))
+      };
+    }
+  };
+}
+
+/**
+ * Pipeline stage rejecting submissions over the limit with a 429.
+ * @param {Object} limiter - See createRateLimiter
+ * @param {string} scope - Prefix keeping IP and email counters apart
+ * @param {Function} keyOf - `(ctx) => string|null`; no key means no limit
+ */
+export function rateLimit(limiter, scope, keyOf) {
+  return async function rateLimitStage(ctx) {
+    const key = keyOf(ctx);
+    if (!key) return;
+
+    const { allowed, retryAfter } = await limiter.hit(`${scope}:${key}`);
+    if (!allowed) {
+      throw new LeadError(
+        429,
+        'Zu viele Anfragen. Bitte versuchen Sie es später erneut.',
+        { retryAfter },
+        { 'Retry-After': String(retryAfter) }
+      );
+    }
+  };
+}
+
+/**
+ * Build the IP and email limiters from the configuration.
+ */
+export function createRateLimitersFromConfig(config) {
+  const backend = config.rateLimit.store === 'memory'
+    ? createMemoryRateLimitBackend()
+    : createFileRateLimitBackend({ file: path.join(config.dataDir, 'rate-limits.json') });
+
+  let secret = config.hashSecret;
+  if (!secret && config.rateLimit.store === 'memory') {
+    secret = FALLBACK_SECRET;
+  } else if (!secret) {
+    const file = path.join(config.dataDir, 'rate-limit-secret');
+    logger.warn('LEAD_HASH_SECRET is not set, rate-limit keys use a key generated in the data directory', { file });
+    secret = loadGeneratedSecret(file);
+  }
+
+  return {
+    ip: createRateLimiter({ backend, windowMs: config.rateLimit.windowMs, limit: config.rateLimit.perIp, secret }),
+    email: createRateLimiter({ backend, windowMs: config.rateLimit.windowMs, limit: config.rateLimit.perEmail, secret })
+  };
+}
+
+/**
+ * Read the key generated for the file backend, creating it on first use, so
+ * counters keep matching across restarts and every process sharing the data
+ * directory. Only a fallback: LEAD_HASH_SECRET should be set.
+ */
+export function loadGeneratedSecret(file) {
+  const read = () => fs.readFileSync(file, 'utf8').trim();
+
+  try {
+    return read();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const secret = crypto.randomBytes(32).toString('hex');
+  try {
+    fs.writeFileSync(file, secret, { flag: 'wx', mode: 0o600 });
+    return secret;
+  } catch (error) {
+    // Another process created it first
+    if (error.code === 'EEXIST') return read();
+    throw error;
+  }
+}
+
+function hashKey(key, secret) {
+  return crypto.createHmac('sha256', secret).update(`rate-limit:${key}`).digest('hex');
+}
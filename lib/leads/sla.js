@@ -0,0 +1,215 @@
+/**
+ * Follow-up SLA
+ * The thank-you page promises a reply within 24 hours. A lead is answered when
+ * it first leaves status "new"; the clock starts when it entered "new" (for
+ * released quarantine leads, at the release). Used by the daily reminder
+ * digest and the weekly summary (scripts/lead-sla.js, or Netlify functions
+ * where a shared lead store allows scheduling them).
+ */
+
+import os from 'os';
+import path from 'path';
+import { deliverWithRetry } from './mail/deliver.js';
+import { renderTemplate } from './mail/templates.js';
+import { logger } from './logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Throw unless the configured lead store is shared with the form functions.
+ * A scheduled function runs in an instance of its own, where the memory store
+ * and the default file store in the temp directory are empty: the jobs would
+ * report zero leads instead of failing.
+ * @param {Object} config - See config.js
+ */
+export function assertSharedLeadStore(config) {
+  const tmpDir = path.resolve(os.tmpdir());
+  const dataDir = path.resolve(config.dataDir);
+
+  if (config.store === 'memory' || dataDir === tmpDir || dataDir.startsWith(tmpDir + path.sep)) {
+    throw new Error(
+      `The SLA jobs cannot see the stored leads (LEAD_STORE=${config.store}, LEAD_DATA_DIR=${config.dataDir}). ` +
+      'Point LEAD_DATA_DIR at storage shared with the form functions, or run scripts/lead-sla.js from cron on the host storing the leads.'
+    );
+  }
+}
+
+/**
+ * When the lead entered status "new", or null if it never did.
+ */
+export function slaStartedAt(lead) {
+  const entry = (lead.statusHistory || []).find(item => item.to === 'new');
+  return entry ? entry.at : null;
+}
+
+/**
+ * When staff first moved the lead on from "new", or null.
+ */
+export function firstResponseAt(lead) {
+  const entry = (lead.statusHistory || []).find(item => item.from === 'new');
+  return entry ? entry.at : null;
+}
+
+/**
+ * Leads still "new" after the SLA, oldest first.
+ * @param {Object[]} leads
+ * @param {Object} options
+ * @param {number} options.slaHours
+ * @param {Date} [options.now]
+ */
+export function findOverdueLeads(leads, { slaHours, now = new Date() }) {
+  return leads
+    .filter(lead => {
+      const startedAt = slaStartedAt(lead);
+      return lead.status === 'new' && startedAt && now - new Date(startedAt) > slaHours * HOUR_MS;
+    })
+    .sort((a, b) => slaStartedAt(a).localeCompare(slaStartedAt(b)));
+}
+
+/**
+ * SLA figures for leads that entered "new" in `[from, to)`.
+ * `complianceRate` counts leads answered in time against all leads whose
+ * deadline has passed; it is null when there are none yet.
+ * @param {Object[]} leads
+ * @param {Object} options
+ * @param {number} options.slaHours
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {Date} [options.now]
+ */
+export function computeSlaStats(leads, { slaHours, from, to, now = new Date() }) {
+  const stats = {
+    total: 0,
+    answeredInTime: 0,
+    answeredLate: 0,
+    overdue: 0,
+    openWithinSla: 0,
+    complianceRate: null,
+    averageResponseHours: null
+  };
+  let responseHoursSum = 0;
+
+  for (const lead of leads) {
+    const startedAt = slaStartedAt(lead);
+    if (!startedAt || new Date(startedAt) < from || new Date(startedAt) >= to) continue;
+
+    stats.total++;
+    const respondedAt = firstResponseAt(lead);
+
+    if (respondedAt) {
+      const hours = (new Date(respondedAt) - new Date(startedAt)) / HOUR_MS;
+      responseHoursSum += hours;
+      if (hours <= slaHours) {
+        stats.answeredInTime++;
+      } else {
+        stats.answeredLate++;
+      }
+    } else if (now - new Date(startedAt) > slaHours * HOUR_MS) {
+      stats.overdue++;
+    } else {
+      stats.openWithinSla++;
+    }
+  }
+
+  const due = stats.answeredInTime + stats.answeredLate + stats.overdue;
+  const answered = stats.answeredInTime + stats.answeredLate;
+
+  if (due > 0) {
+    stats.complianceRate = Math.round((stats.answeredInTime / due) * 1000) / 10;
+  }
+  if (answered > 0) {
+    stats.averageResponseHours = Math.round((responseHoursSum / answered) * 10) / 10;
+  }
+
+  return stats;
+}
+
+/**
+ * Email the office a digest of overdue leads. Nothing is sent when no lead is overdue.
+ * @param {Object} options
+ * @param {Object} options.store - Lead store
+ * @param {Object} options.transport - Mail transport
+ * @param {Object} options.config - Lead configuration (see config.js)
+ * @param {Date} [options.now]
+ * @param {boolean} [options.dryRun] - Render but do not send
+ */
+export async function sendSlaReminder({ store, transport, config, now = new Date(), dryRun = false }) {
+  const overdue = findOverdueLeads(await store.list({ status: 'new' }), { slaHours: config.sla.hours, now });
+  if (overdue.length === 0) {
+    return { overdue: 0, delivery: null };
+  }
+
+  const message = await renderTemplate('office/sla-reminder', {
+    slaHours: config.sla.hours,
+    overdueCount: overdue.length,
+    overdue: overdue.map(lead => describeLead(lead, now)),
+    inboxUrl: `${config.siteUrl}/api/admin`
+  });
+
+  return {
+    overdue: overdue.length,
+    message,
+    delivery: dryRun ? null : await sendToOffice(transport, config, message)
+  };
+}
+
+/**
+ * Email the office the SLA figures of the last seven days, plus the leads
+ * that are overdue right now.
+ * @param {Object} options - See sendSlaReminder
+ */
+export async function sendWeeklySummary({ store, transport, config, now = new Date(), dryRun = false }) {
+  const leads = await store.list();
+  const from = new Date(now.getTime() - 7 * 24 * HOUR_MS);
+  const stats = computeSlaStats(leads, { slaHours: config.sla.hours, from, to: now, now });
+  const overdue = findOverdueLeads(leads, { slaHours: config.sla.hours, now });
+
+  const message = await renderTemplate('office/weekly-summary', {
+    from: formatDate(from),
+    to: formatDate(now),
+    slaHours: config.sla.hours,
+    stats,
+    compliance: stats.complianceRate === null ? 'keine fälligen Anfragen' : `${String(stats.complianceRate).replace('.', ',')} %`,
+    averageResponse: stats.averageResponseHours === null ? '–' : `${String(stats.averageResponseHours).replace('.', ',')} Stunden`,
+    overdueCount: overdue.length,
+    overdue: overdue.map(lead => describeLead(lead, now)),
+    inboxUrl: `${config.siteUrl}/api/admin`
+  });
+
+  return {
+    stats,
+    message,
+    delivery: dryRun ? null : await sendToOffice(transport, config, message)
+  };
+}
+
+async function sendToOffice(transport, config, { subject, html, text }) {
+  const delivery = await deliverWithRetry(transport, {
+    from: config.mail.from,
+    to: config.officeEmail,
+    subject,
+    html,
+    text
+  }, { attempts: config.mail.attempts });
+
+  if (delivery.status === 'failed') {
+    logger.error('SLA email failed', { subject, attempts: delivery.attempts, error: delivery.error });
+  }
+  return delivery;
+}
+
+function describeLead(lead, now) {
+  return {
+    id: lead.id,
+    name: lead.name,
+    email: lead.email,
+    formType: lead.formType,
+    interest: lead.courseInterest || lead.aircraft || '',
+    receivedAt: formatDate(new Date(slaStartedAt(lead))),
+    waitingHours: Math.floor((now - new Date(slaStartedAt(lead))) / HOUR_MS)
+  };
+}
+
+function formatDate(date) {
+  return date.toLocaleString('de-DE', { timeZone: 'Europe/Madrid', dateStyle: 'medium', timeStyle: 'short' });
+}
@@ -0,0 +1,66 @@
+/**
+ * Signed time-trap tokens
+ * A token is issued when the page renders and returned with the form. It proves
+ * when the form was loaded, so submissions made within seconds can be scored as
+ * automated. Format: `<issuedAt>.<nonce>.<signature>`.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Issue a token for the current time.
+ * @param {string} secret
+ * @param {number} [now]
+ */
+export function issueFormToken(secret, now = Date.now()) {
+  const payload = `${now}.${crypto.randomBytes(8).toString('hex')}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify a token.
+ * @param {string} token
+ * @param {string} secret
+ * @param {number} [now]
+ * @returns {{valid: boolean, ageSeconds?: number}}
+ */
+export function verifyFormToken(token, secret, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0])) {
+    return { valid: false };
+  }
+
+  const payload = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(parts[2]);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false };
+  }
+
+  return { valid: true, ageSeconds: (now - Number(parts[0])) / 1000 };
+}
+
+/**
+ * Endpoint handing out tokens, for use with the platform adapters in http.js.
+ * @param {Object} config - Lead configuration (see config.js)
+ */
+export function createFormTokenEndpoint(config) {
+  return {
+    async process() {
+      if (!config.spam.tokenSecret) {
+        return { statusCode: 200, headers: { 'Cache-Control': 'no-store' }, body: { token: null } };
+      }
+
+      return {
+        statusCode: 200,
+        headers: { 'Cache-Control': 'no-store' },
+        body: { token: issueFormToken(config.spam.tokenSecret) }
+      };
+    }
+  };
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
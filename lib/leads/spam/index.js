@@ -0,0 +1,66 @@
+/**
+ * Spam scoring
+ * Runs every rule, adds up the scores and quarantines the lead when the total
+ * reaches the threshold. Quarantined leads are stored for staff review but do
+ * not trigger notifications; the visitor sees the normal success response.
+ */
+
+import {
+  DEFAULT_BLOCKED_KEYWORDS,
+  timeTrapRule,
+  linkCountRule,
+  blocklistRule,
+  gibberishRule,
+  duplicateMessageRule
+} from './rules.js';
+
+export { createFormTokenEndpoint, issueFormToken, verifyFormToken } from './form-token.js';
+
+/**
+ * Pipeline stage scoring `ctx.lead`. Runs after enrichLead, before storeLead.
+ * @param {Function[]} rules
+ * @param {number} threshold
+ */
+export function scoreSpam(rules, threshold) {
+  return async function scoreSpamStage(ctx) {
+    const { lead } = ctx;
+    const reasons = [];
+    let score = 0;
+
+    for (const rule of rules) {
+      const result = await rule(lead, ctx);
+      if (result) {
+        score += result.score;
+        reasons.push(result.reason);
+      }
+    }
+
+    delete lead.formToken;
+    lead.spam = { ...lead.spam, score, reasons };
+    ctx.quarantined = score >= threshold;
+  };
+}
+
+/**
+ * Build the configured rule set.
+ * @param {Object} config - Lead configuration (see config.js)
+ * @param {Object} store - Lead store
+ */
+export function createSpamRulesFromConfig(config, store) {
+  const { spam } = config;
+
+  return [
+    timeTrapRule({
+      secret: spam.tokenSecret,
+      minSeconds: spam.minSeconds,
+      maxAgeSeconds: spam.maxTokenAgeSeconds
+    }),
+    linkCountRule(),
+    blocklistRule({
+      keywords: [...DEFAULT_BLOCKED_KEYWORDS, ...spam.keywords],
+      domains: spam.blockedDomains
+    }),
+    gibberishRule(),
+    duplicateMessageRule({ store, windowDays: spam.duplicateWindowDays })
+  ];
+}
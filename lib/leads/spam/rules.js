@@ -0,0 +1,146 @@
+/**
+ * Spam scoring rules
+ * Each rule is `async (lead, ctx) => ({ score, reason } | null)`; a rule that
+ * finds nothing suspicious returns null.
+ */
+
+import crypto from 'crypto';
+import { verifyFormToken } from './form-token.js';
+
+export const DEFAULT_BLOCKED_KEYWORDS = [
+  'viagra',
+  'cialis',
+  'casino',
+  'bitcoin',
+  'crypto',
+  'forex',
+  'backlinks',
+  'seo services',
+  'payday loan'
+];
+
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)\S+/gi;
+// Checked after stripping diacritics, so ą, ę, ó, å etc. count as a, e, o;
+// these vowels do not decompose
+const VOWELS = 'aeiouyæøœı';
+
+/**
+ * Time trap: the form token must be valid and older than `minSeconds`.
+ * @param {Object} options
+ * @param {string} options.secret - Rule is skipped without a secret
+ * @param {number} options.minSeconds
+ * @param {number} options.maxAgeSeconds
+ */
+export function timeTrapRule({ secret, minSeconds, maxAgeSeconds }) {
+  return async function timeTrap(lead) {
+    if (!secret) return null;
+
+    if (!lead.formToken) {
+      return { score: 2, reason: 'form-token-missing' };
+    }
+
+    const { valid, ageSeconds } = verifyFormToken(lead.formToken, secret);
+    if (!valid) {
+      return { score: 4, reason: 'form-token-invalid' };
+    }
+    if (ageSeconds < minSeconds) {
+      return { score: 5, reason: 'submitted-too-fast' };
+    }
+    if (ageSeconds > maxAgeSeconds) {
+      return { score: 2, reason: 'form-token-expired' };
+    }
+    return null;
+  };
+}
+
+/**
+ * Links in the message: one is common, several are a strong signal.
+ */
+export function linkCountRule() {
+  return async function linkCount(lead) {
+    const links = (String(lead.message || '').match(LINK_REGEX) || []).length;
+    const nameLinks = (String(lead.name || '').match(LINK_REGEX) || []).length;
+
+    const score = (links > 1 ? links * 2 : links) + nameLinks * 3;
+    return score > 0 ? { score, reason: `links:${links + nameLinks}` } : null;
+  };
+}
+
+/**
+ * Blocked keywords in the message and blocked email domains.
+ * @param {Object} options
+ * @param {string[]} options.keywords
+ * @param {string[]} options.domains
+ */
+export function blocklistRule({ keywords, domains }) {
+  return async function blocklist(lead) {
+    const text = `${lead.name || ''} ${lead.message || ''}`.toLowerCase();
+    const domain = String(lead.email || '').split('@')[1] || '';
+
+    if (domains.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`))) {
+      return { score: 10, reason: `blocked-domain:${domain}` };
+    }
+
+    const hits = keywords.filter(keyword => text.includes(keyword));
+    return hits.length > 0
+      ? { score: Math.min(hits.length * 3, 9), reason: `keywords:${hits.join(',')}` }
+      : null;
+  };
+}
+
+/**
+ * Random letter strings in the name or message.
+ */
+export function gibberishRule() {
+  return async function gibberish(lead) {
+    const fields = ['name', 'message'].filter(field => looksLikeGibberish(String(lead[field] || '')));
+    return fields.length > 0 ? { score: fields.length * 2, reason: `gibberish:${fields.join(',')}` } : null;
+  };
+}
+
+/**
+ * Identical messages submitted before within `windowDays`.
+ * Stores the message hash on the lead so later submissions can be compared.
+ * @param {Object} options
+ * @param {Object} options.store - Lead store
+ * @param {number} options.windowDays
+ */
+export function duplicateMessageRule({ store, windowDays }) {
+  return async function duplicateMessage(lead) {
+    const normalized = String(lead.message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (normalized.length < 20) return null;
+
+    const messageHash = crypto.createHash('sha256').update(normalized).digest('hex');
+    lead.spam = { ...lead.spam, messageHash };
+
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+    const earlier = (await store.list({ from: since }))
+      .filter(record => record.spam?.messageHash === messageHash);
+
+    return earlier.length > 0
+      ? { score: Math.min(earlier.length * 3, 9), reason: `duplicate-message:${earlier.length}` }
+      : null;
+  };
+}
+
+/**
+ * Heuristic: a large share of longer words without vowels or with long
+ * consonant runs, or words with alternating case like "kJhGfD". Diacritics are
+ * stripped first; the vowel checks only apply to words in Latin script.
+ */
+export function looksLikeGibberish(text) {
+  const words = text.normalize('NFD').replace(/\p{M}/gu, '').match(/\p{L}+/gu) || [];
+  if (words.length === 0) return false;
+
+  const consonantRun = new RegExp(`[^${VOWELS}]{6,}`);
+  const hasVowel = new RegExp(`[${VOWELS}]`);
+
+  const suspicious = words.filter(word => {
+    const lower = word.toLowerCase();
+    if (/\p{Ll}\p{Lu}\p{Ll}\p{Lu}/u.test(word)) return true;
+    if (!/^\p{Script=Latin}+$/u.test(lower)) return false;
+    return lower.length >= 6 && (!hasVowel.test(lower) || consonantRun.test(lower));
+  });
+
+  return suspicious.length / words.length >= 0.3;
+}
@@ -0,0 +1,193 @@
+/**
+ * Core pipeline stages shared by every lead form
+ */
+
+import { LeadError } from './errors.js';
+import { decodeBody } from './body.js';
+import { createLeadId } from './pipeline.js';
+import { validateForm } from '../forms/validate.js';
+import { PRIVACY_POLICY_VERSION, getConsentText } from '../forms/consent.js';
+
+/**
+ * Turn the raw request body (JSON, url-encoded or multipart) into `ctx.fields`
+ * and, for multipart, uploaded files into `ctx.files`.
+ */
+export async function parseBody(ctx) {
+  try {
+    const { fields, files } = decodeBody(ctx.request.body, ctx.request.headers || {});
+    ctx.fields = fields;
+    ctx.files = files;
+  } catch (error) {
+    throw new LeadError(400, 'Ungültige Anfrage');
+  }
+}
+
+/**
+ * Trim string values and lower-case the email address.
+ */
+export async function normalizeFields(ctx) {
+  const fields = {};
+
+  for (const [key, value] of Object.entries(ctx.fields)) {
+    fields[key] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  if (typeof fields.email === 'string') {
+    fields.email = fields.email.toLowerCase();
+  }
+
+  ctx.fields = fields;
+}
+
+/**
+ * Validate the fields against the form schema shared with the browser.
+ * The payload lists empty required fields in `missingFields` and every
+ * problem in `fieldErrors` (field name → German message).
+ * @param {Object} schema - See lib/forms/schema.js
+ */
+export function validateSchema(schema) {
+  return async function validateSchemaStage(ctx) {
+    const { valid, errors } = validateForm(schema, ctx.fields);
+    if (valid) return;
+
+    const fieldErrors = {};
+    for (const [field, { message }] of Object.entries(errors)) {
+      fieldErrors[field] = message;
+    }
+
+    const missingFields = Object.keys(errors).filter(field => errors[field].code === 'required');
+    const codes = Object.values(errors).map(error => error.code);
+
+    let message = 'Bitte überprüfen Sie Ihre Eingaben.';
+    if (missingFields.length > 0) {
+      message = 'Fehlende Pflichtfelder';
+    } else if (codes.length === 1 && codes[0] === 'email') {
+      message = 'Ungültige E-Mail-Adresse';
+    } else if (codes.length === 1 && codes[0] === 'consent') {
+      message = 'Bitte stimmen Sie der Datenschutzerklärung zu.';
+    }
+
+    throw new LeadError(400, message, {
+      ...(missingFields.length > 0 && { missingFields }),
+      fieldErrors
+    });
+  };
+}
+
+/**
+ * Replace the consent checkbox (and the `consentVersion` / `consentLocale`
+ * hidden fields) by a consent record stored with the lead: form id, policy
+ * version, the exact text shown and the time. Runs after validateSchema, which
+ * already rejects a missing checkbox; this stage is the last line of defence.
+ * @param {Object} schema - Form schema with a `consent` field
+ */
+export function recordConsent(schema) {
+  const consentField = Object.keys(schema.fields).find(name => schema.fields[name].type === 'consent');
+
+  return async function recordConsentStage(ctx) {
+    if (!consentField) return;
+
+    const { [consentField]: given, consentVersion, consentLocale, ...fields } = ctx.fields;
+    if (!given) {
+      throw new LeadError(400, 'Bitte stimmen Sie der Datenschutzerklärung zu.');
+    }
+
+    const version = getConsentText(consentVersion) ? consentVersion : PRIVACY_POLICY_VERSION;
+    const locale = consentLocale === 'en' ? 'en' : 'de';
+
+    ctx.fields = {
+      ...fields,
+      consent: {
+        formId: schema.id,
+        policyVersion: version,
+        locale,
+        text: getConsentText(version, locale),
+        givenAt: new Date().toISOString()
+      }
+    };
+  };
+}
+
+/**
+ * Simple honeypot check: real visitors never fill in the hidden field.
+ * Runs right after parseBody, so bots are turned away before validation, the
+ * consent record or the email rate limit see their submission.
+ * @param {string} [field]
+ */
+export function checkHoneypot(field = 'website') {
+  return async function checkHoneypotStage(ctx) {
+    const value = ctx.fields[field];
+    if (typeof value === 'string' ? value.trim() : value) {
+      throw new LeadError(400, 'Spam detected');
+    }
+  };
+}
+
+/**
+ * Build the lead record from the fields the form schema declares, the consent
+ * record and request metadata. Anything else the client posts is dropped, and
+ * the server-owned keys are set last so a submission cannot override them.
+ * @param {Object} schema - See lib/forms/schema.js
+ */
+export function enrichLead(schema) {
+  const formFields = Object.keys(schema.fields)
+    .filter(name => !['file', 'consent'].includes(schema.fields[name].type));
+  const hasConsent = Object.values(schema.fields).some(rules => rules.type === 'consent');
+
+  return async function enrichLeadStage(ctx) {
+    const { headers, ip } = ctx.request;
+
+    const fields = {};
+    for (const name of formFields) {
+      if (ctx.fields[name] !== undefined) fields[name] = ctx.fields[name];
+    }
+
+    ctx.lead = {
+      ...fields,
+      // Built by recordConsent
+      ...(hasConsent && ctx.fields.consent && { consent: ctx.fields.consent }),
+      // Read and removed again by scoreSpam
+      ...(typeof ctx.fields.formToken === 'string' && { formToken: ctx.fields.formToken }),
+      formType: ctx.formType,
+      timestamp: new Date().toISOString(),
+      source: headers.referer || 'direct',
+      userAgent: headers['user-agent'],
+      ip,
+      id: createLeadId()
+    };
+  };
+}
+
+/**
+ * Persist the lead so the returned `leadId` can be looked up later.
+ * Leads flagged by the spam scorer are stored as "quarantined"; duplicates
+ * found by detectDuplicates are merged into the existing lead (`ctx.merged`).
+ * @param {Object} store - Lead store (see store/index.js)
+ */
+export function storeLead(store) {
+  return async function storeLeadStage(ctx) {
+    const { lead } = ctx;
+    const fields = {};
+    for (const field of Object.keys(ctx.fields)) {
+      if (field in lead) fields[field] = lead[field];
+    }
+
+    const interaction = {
+      at: lead.timestamp,
+      formType: lead.formType,
+      source: lead.source,
+      fields
+    };
+
+    if (ctx.duplicateOf) {
+      ctx.lead = await store.addInteraction(ctx.duplicateOf.id, interaction);
+      ctx.merged = true;
+      return;
+    }
+
+    ctx.lead = await store.create(lead, {
+      status: ctx.quarantined ? 'quarantined' : 'new',
+      interaction
+    });
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * File lead backend
+ * Stores one JSON document per lead in `<dir>/<leadId>.json`.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile, withFileLock, isSafeId } from './json-file.js';
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the lead documents
+ */
+export function createFileBackend({ dir }) {
+  function fileFor(id) {
+    if (!isSafeId(id)) {
+      throw new Error(`Invalid lead id: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  }
+
+  return {
+    async get(id) {
+      if (!isSafeId(id)) return null;
+      return readJsonFile(fileFor(id));
+    },
+
+    async all() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const records = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => readJsonFile(path.join(dir, file)))
+      );
+      return records.filter(Boolean);
+    },
+
+    async save(record) {
+      const file = fileFor(record.id);
+      await withFileLock(file, () => writeJsonFile(file, record));
+    },
+
+    /**
+     * Read a record, let `change` return the new version (or null to keep it)
+     * and write it, under the file's lock.
+     */
+    async update(id, change) {
+      const file = fileFor(id);
+      return withFileLock(file, async () => {
+        const updated = await change(await readJsonFile(file));
+        if (updated) await writeJsonFile(file, updated);
+        return updated;
+      });
+    },
+
+    async remove(id) {
+      if (!isSafeId(id)) return false;
+      try {
+        await fs.unlink(fileFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
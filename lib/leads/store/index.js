@@ -0,0 +1,206 @@
+/**
+ * Lead repository
+ * Adds the status lifecycle and audit history on top of a pluggable backend
+ * (file or memory). Backends implement get / all / save / remove and update,
+ * an atomic read-modify-write of one record.
+ */
+
+import path from 'path';
+import { LeadError } from '../errors.js';
+import { createFileBackend } from './file.js';
+import { createMemoryBackend } from './memory.js';
+
+export { createFileBackend, createMemoryBackend };
+
+export const LEAD_STATUSES = ['new', 'contacted', 'enrolled', 'lost', 'quarantined'];
+
+/**
+ * Allowed status changes. A lost lead can be reopened by contacting it again;
+ * a quarantined (suspected spam) lead is either released as new or dropped.
+ */
+export const LEAD_STATUS_TRANSITIONS = {
+  quarantined: ['new', 'lost'],
+  new: ['contacted', 'lost'],
+  contacted: ['enrolled', 'lost'],
+  enrolled: [],
+  lost: ['contacted']
+};
+
+/**
+ * @param {Object} backend - Storage backend (see file.js / memory.js)
+ */
+export function createLeadStore(backend) {
+  return {
+    /**
+     * Persist a freshly built lead.
+     * @param {Object} lead
+     * @param {Object} [options]
+     * @param {string} [options.status] - Initial status, "new" or "quarantined"
+     * @param {Object} [options.interaction] - The submission that created the lead
+     */
+    async create(lead, { status = 'new', interaction } = {}) {
+      // Set only by later operations (deliveries, erasure), never on a new lead
+      const { deliveries, pseudonymized, subjectHash, erasedAt, ...fields } = lead;
+      const now = new Date().toISOString();
+      const record = {
+        ...fields,
+        createdAt: lead.timestamp || now,
+        updatedAt: now,
+        status,
+        statusHistory: [
+          { from: null, to: status, at: now, by: 'system' }
+        ],
+        interactions: interaction ? [interaction] : []
+      };
+      await backend.save(record);
+      return record;
+    },
+
+    /**
+     * Attach a further submission to an existing lead. The interaction keeps
+     * its own contact data. Fields the lead does not have yet (e.g. a phone
+     * number given only the second time) are filled in, unless the submission
+     * came from a different email address and so possibly another person.
+     * @param {string} id
+     * @param {{at: string, formType: string, source: string, fields: Object}} interaction
+     */
+    async addInteraction(id, interaction) {
+      return backend.update(id, record => {
+        if (!record) {
+          throw new LeadError(404, 'Anfrage nicht gefunden');
+        }
+
+        const email = String(interaction.fields.email || '').toLowerCase();
+        const sameSubject = !email || !record.email || String(record.email).toLowerCase() === email;
+
+        const filled = {};
+        for (const [field, value] of Object.entries(sameSubject ? interaction.fields : {})) {
+          if (value && !record[field]) filled[field] = value;
+        }
+
+        return {
+          ...record,
+          ...filled,
+          updatedAt: new Date().toISOString(),
+          interactions: [...(record.interactions || []), interaction]
+        };
+      });
+    },
+
+    async get(id) {
+      return backend.get(id);
+    },
+
+    /**
+     * List leads, newest first.
+     * @param {Object} [filters]
+     * @param {string} [filters.status]
+     * @param {string} [filters.courseInterest]
+     * @param {string} [filters.source]
+     * @param {string} [filters.from] - ISO date, inclusive
+     * @param {string} [filters.to] - ISO date, inclusive
+     */
+    async list(filters = {}) {
+      const records = await backend.all();
+
+      return records
+        .filter(record => matchesFilters(record, filters))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * Replace a stored lead, bumping `updatedAt`.
+     */
+    async save(record) {
+      const updated = { ...record, updatedAt: new Date().toISOString() };
+      await backend.save(updated);
+      return updated;
+    },
+
+    /**
+     * Change a stored lead atomically: `change(record)` returns the new
+     * version, or null to leave it alone. Resolves with the saved record.
+     */
+    async update(id, change) {
+      return backend.update(id, record => {
+        const updated = record && change(record);
+        return updated ? { ...updated, updatedAt: new Date().toISOString() } : null;
+      });
+    },
+
+    async remove(id) {
+      return backend.remove(id);
+    },
+
+    /**
+     * Append the outcome of an email or webhook delivery to the lead.
+     * @param {string} id
+     * @param {Object} delivery - `{ type, status, attempts, at, ... }`
+     */
+    async recordDelivery(id, delivery) {
+      return backend.update(id, record => record && {
+        ...record,
+        deliveries: [...(record.deliveries || []), delivery]
+      });
+    },
+
+    /**
+     * Move a lead along the status lifecycle and record who did it.
+     * @param {string} id
+     * @param {string} status
+     * @param {Object} [options]
+     * @param {string} [options.by] - Staff member or process making the change
+     * @param {string} [options.note]
+     */
+    async updateStatus(id, status, { by = 'system', note } = {}) {
+      return backend.update(id, record => {
+        if (!record) {
+          throw new LeadError(404, 'Anfrage nicht gefunden');
+        }
+
+        if (!LEAD_STATUS_TRANSITIONS[record.status]?.includes(status)) {
+          throw new LeadError(409, `Statuswechsel von "${record.status}" zu "${status}" ist nicht möglich`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = { from: record.status, to: status, at: now, by };
+        if (note) entry.note = note;
+
+        return {
+          ...record,
+          status,
+          updatedAt: now,
+          statusHistory: [...record.statusHistory, entry]
+        };
+      });
+    }
+  };
+}
+
+// File backends by directory, shared by every store in the process
+const fileBackends = new Map();
+
+/**
+ * Build the lead store selected by the configuration. Stores for the same
+ * data directory share one backend.
+ */
+export function createLeadStoreFromConfig(config) {
+  if (config.store === 'memory') {
+    return createLeadStore(createMemoryBackend());
+  }
+
+  const dir = path.resolve(config.dataDir, 'leads');
+  if (!fileBackends.has(dir)) {
+    fileBackends.set(dir, createFileBackend({ dir }));
+  }
+  return createLeadStore(fileBackends.get(dir));
+}
+
+function matchesFilters(record, { status, courseInterest, source, from, to }) {
+  if (status && record.status !== status) return false;
+  if (courseInterest && record.courseInterest !== courseInterest) return false;
+  if (source && !String(record.source || '').includes(source)) return false;
+  if (from && record.createdAt < from) return false;
+  if (to && record.createdAt.slice(0, to.length) > to) return false;
+  return true;
+}
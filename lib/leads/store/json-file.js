@@ -0,0 +1,67 @@
+/**
+ * Small helpers for the JSON-file backends
+ * Read-modify-write cycles go through a lock per file that is shared by every
+ * backend in the process, so two pipelines writing the same data directory
+ * (the dev server, createNodeHandler) cannot lose each other's updates.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const fileLocks = new Map();
+
+/**
+ * Read and parse a JSON file, returning `fallback` when it does not exist.
+ */
+export async function readJsonFile(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write JSON via a temporary file and rename, so readers never see half a file.
+ */
+export async function writeJsonFile(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+  await fs.rename(tmpFile, file);
+}
+
+/**
+ * Run `task` once every earlier task for the same file has finished.
+ */
+export function withFileLock(file, task) {
+  const key = path.resolve(file);
+  const result = (fileLocks.get(key) || Promise.resolve()).then(task);
+  const settled = result.catch(() => {});
+  fileLocks.set(key, settled);
+  settled.then(() => {
+    if (fileLocks.get(key) === settled) fileLocks.delete(key);
+  });
+  return result;
+}
+
+/**
+ * Read a JSON file, let `change` modify the data in place and write it back,
+ * all under the file's lock. Resolves with what `change` returns.
+ */
+export function updateJsonFile(file, fallback, change) {
+  return withFileLock(file, async () => {
+    const data = await readJsonFile(file, fallback);
+    const outcome = await change(data);
+    await writeJsonFile(file, data);
+    return outcome;
+  });
+}
+
+/**
+ * Guard against path traversal when a record id becomes a file name.
+ */
+export function isSafeId(id) {
+  return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
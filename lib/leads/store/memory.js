@@ -0,0 +1,39 @@
+/**
+ * In-memory lead backend
+ * Used for tests and as a fallback where no writable disk is available.
+ */
+
+export function createMemoryBackend() {
+  const records = new Map();
+  let queue = Promise.resolve();
+
+  return {
+    async get(id) {
+      const record = records.get(id);
+      return record ? structuredClone(record) : null;
+    },
+
+    async all() {
+      return [...records.values()].map(record => structuredClone(record));
+    },
+
+    async save(record) {
+      records.set(record.id, structuredClone(record));
+    },
+
+    update(id, change) {
+      const result = queue.then(async () => {
+        const record = records.get(id);
+        const updated = await change(record ? structuredClone(record) : null);
+        if (updated) records.set(id, structuredClone(updated));
+        return updated;
+      });
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    async remove(id) {
+      return records.delete(id);
+    }
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Outbound webhooks
+ * Posts every lead to the configured targets (CRM, Slack bridge, …) as JSON,
+ * signed with HMAC-SHA256. Targets are posted to in parallel; failed
+ * deliveries are retried with exponential backoff within a time budget that
+ * fits the function's duration limit, then kept in a dead-letter list that
+ * `replayDeadLetters` (scripts/webhooks.js) sends again later.
+ *
+ * Signature header: `X-Flugschule-Signature: t=<unix seconds>,v1=<hex>` where
+ * the HMAC covers `<t>.<raw body>`. Receivers should reject old timestamps.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, updateJsonFile } from './store/json-file.js';
+import { logger } from './logger.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Internal bookkeeping that receivers do not need
+const OMITTED_LEAD_FIELDS = ['ip', 'userAgent', 'spam', 'deliveries', 'statusHistory', 'interactions'];
+
+/**
+ * Sign a webhook body.
+ * @param {string} body - Raw JSON body
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds
+ */
+export function signWebhook(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Dead letters kept in memory, per function instance.
+ */
+export function createMemoryDeadLetterStore() {
+  const entries = [];
+
+  return {
+    async add(entry) {
+      entries.push(structuredClone(entry));
+    },
+
+    async list() {
+      return entries.map(entry => structuredClone(entry));
+    },
+
+    async remove(deliveryId) {
+      const index = entries.findIndex(entry => entry.deliveryId === deliveryId);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      return true;
+    }
+  };
+}
+
+/**
+ * Dead letters persisted in a single JSON file.
+ * @param {Object} options
+ * @param {string} options.file
+ */
+export function createFileDeadLetterStore({ file }) {
+  function update(change) {
+    return updateJsonFile(file, [], change);
+  }
+
+  return {
+    add(entry) {
+      return update(entries => {
+        entries.push(entry);
+      });
+    },
+
+    list() {
+      return readJsonFile(file, []);
+    },
+
+    remove(deliveryId) {
+      return update(entries => {
+        const index = entries.findIndex(entry => entry.deliveryId === deliveryId);
+        if (index === -1) return false;
+        entries.splice(index, 1);
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * POST one webhook, retrying with exponential backoff.
+ * Never throws: the result says whether the target accepted the delivery.
+ * @param {Object} target - `{ url, secret }`
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {number} [options.attempts]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.timeoutMs] - Per attempt
+ * @param {number} [options.deadline] - Epoch ms; no attempt or backoff runs past it
+ */
+export async function deliverWebhook(target, payload, { attempts = 3, baseDelayMs = 500, timeoutMs = 2000, deadline = Infinity } = {}) {
+  const body = JSON.stringify(payload);
+  let lastError = new Error('Time budget exhausted');
+  let attempt = 0;
+
+  while (attempt < attempts) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) break;
+
+    attempt++;
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Flugschule-Mallorca-Webhooks/1.0',
+          'X-Flugschule-Event': payload.event,
+          'X-Flugschule-Delivery': payload.id,
+          'X-Flugschule-Signature': signWebhook(body, target.secret)
+        },
+        body,
+        signal: AbortSignal.timeout(Math.min(timeoutMs, remainingMs))
+      });
+
+      if (response.ok) {
+        return { status: 'sent', attempts: attempt, at: new Date().toISOString(), responseStatus: response.status };
+      }
+      lastError = new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      lastError = error;
+    }
+
+    const delayMs = baseDelayMs * 2 ** (attempt - 1);
+    if (attempt === attempts || Date.now() + delayMs >= deadline) break;
+    await wait(delayMs);
+  }
+
+  return { status: 'failed', attempts: attempt, at: new Date().toISOString(), error: lastError.message };
+}
+
+/**
+ * Does the target subscribe to the event? No filter (or `*`) means all events.
+ */
+export function matchesEvent(target, event) {
+  return !target.events || target.events.length === 0 ||
+    target.events.includes('*') || target.events.includes(event);
+}
+
+/**
+ * Dispatcher posting the lead to every matching target, all in parallel.
+ * @param {Object} options
+ * @param {Object[]} options.targets - `{ url, name, secret, events }`; only
+ *   the name is logged or stored, since the URL may itself be a secret
+ * @param {Object} options.deadLetters - Dead-letter store
+ * @param {Object} options.store - Lead store, for recording deliveries
+ * @param {Object} [options.retry] - `{ attempts, baseDelayMs, timeoutMs, budgetMs }`;
+ *   `budgetMs` caps the whole dispatch, retries included
+ */
+export function dispatchWebhooks({ targets, deadLetters, store, retry = {} }) {
+  const { budgetMs, ...options } = retry;
+
+  return async function dispatchWebhooksDispatcher(lead, ctx) {
+    const event = `lead.${lead.formType || 'contact'}`;
+    const matching = targets.filter(target => matchesEvent(target, event));
+    const deadline = budgetMs ? Date.now() + budgetMs : Infinity;
+
+    await Promise.all(matching.map(async target => {
+      const payload = {
+        id: `whd_${crypto.randomUUID()}`,
+        event,
+        createdAt: new Date().toISOString(),
+        merged: Boolean(ctx?.merged),
+        lead: publicLeadFields(lead)
+      };
+
+      const result = await deliverWebhook(target, payload, { ...options, deadline });
+      await store.recordDelivery(lead.id, {
+        type: 'webhook',
+        target: targetName(target),
+        deliveryId: payload.id,
+        ...result
+      });
+
+      if (result.status === 'failed') {
+        (ctx?.log || logger).error('Webhook delivery failed', {
+          leadId: lead.id,
+          deliveryId: payload.id,
+          target: targetName(target),
+          attempts: result.attempts,
+          error: result.error
+        });
+        await deadLetters.add({
+          deliveryId: payload.id,
+          target: targetName(target),
+          event,
+          payload,
+          attempts: result.attempts,
+          lastError: result.error,
+          failedAt: result.at
+        });
+      }
+    }));
+  };
+}
+
+/**
+ * Send dead-lettered deliveries again, with the full retries and no time
+ * budget. Delivered entries leave the list; the others stay with their
+ * attempts and last error updated. Entries whose target is no longer
+ * configured are skipped.
+ * @param {Object} options
+ * @param {Object[]} options.targets - See dispatchWebhooks
+ * @param {Object} options.deadLetters - Dead-letter store
+ * @param {Object} options.store - Lead store, for recording deliveries
+ * @param {Object} [options.retry] - `{ attempts, baseDelayMs, timeoutMs }`; no budget applies
+ * @param {string} [options.deliveryId] - Replay only this entry
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+export async function replayDeadLetters({ targets, deadLetters, store, retry = {}, deliveryId }) {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const letter of await deadLetters.list()) {
+    if (deliveryId && letter.deliveryId !== deliveryId) continue;
+
+    const target = targets.find(candidate => targetName(candidate) === letter.target);
+    if (!target) {
+      summary.skipped++;
+      continue;
+    }
+
+    const result = await deliverWebhook(target, letter.payload, retry);
+    if (letter.payload.lead?.id) {
+      await store.recordDelivery(letter.payload.lead.id, {
+        type: 'webhook',
+        target: letter.target,
+        deliveryId: letter.deliveryId,
+        replay: true,
+        ...result
+      });
+    }
+
+    await deadLetters.remove(letter.deliveryId);
+    if (result.status === 'sent') {
+      summary.sent++;
+    } else {
+      summary.failed++;
+      await deadLetters.add({
+        ...letter,
+        attempts: letter.attempts + result.attempts,
+        lastError: result.error,
+        failedAt: result.at
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Build the dead-letter store selected by the configuration.
+ */
+export function createDeadLetterStoreFromConfig(config) {
+  return config.store === 'memory'
+    ? createMemoryDeadLetterStore()
+    : createFileDeadLetterStore({ file: path.join(config.dataDir, 'webhook-dead-letters.json') });
+}
+
+function targetName(target) {
+  if (target.name) return target.name;
+  try {
+    return new URL(target.url).origin;
+  } catch (error) {
+    return 'invalid URL';
+  }
+}
+
+function publicLeadFields(lead) {
+  const fields = { ...lead };
+  for (const field of OMITTED_LEAD_FIELDS) {
+    delete fields[field];
+  }
+  return fields;
+}
@@ -0,0 +1,5 @@
+// Netlify function for lead attachment downloads (basic / token auth)
+
+import { createAdminEndpoints, createNetlifyHandler } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createAdminEndpoints().attachment, { method: 'GET' });
@@ -0,0 +1,5 @@
+// Netlify function for lead status changes from the inbox (basic / token auth)
+
+import { createAdminEndpoints, createNetlifyHandler } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createAdminEndpoints().status);
@@ -0,0 +1,5 @@
+// Netlify function for the lead inbox list and detail view (basic / token auth)
+
+import { createAdminEndpoints, createNetlifyHandler } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createAdminEndpoints().leads, { method: 'GET' });
@@ -0,0 +1,5 @@
+// Netlify function for the staff lead inbox page (basic / token auth)
+
+import { createAdminEndpoints, createNetlifyHandler } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createAdminEndpoints().page, { method: 'GET' });
@@ -0,0 +1,5 @@
+// Netlify function for the charter enquiry form (#charter-form)
+
+import { FORM_REDIRECTS, createCharterPipeline, createNetlifyHandler } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createCharterPipeline(), { redirects: FORM_REDIRECTS });
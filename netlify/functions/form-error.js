@@ -0,0 +1,5 @@
+// Netlify function rendering the error page for form posts without JavaScript
+
+import { createFormErrorPage, createNetlifyHandler, loadConfig } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createFormErrorPage(loadConfig()), { method: 'GET' });
@@ -0,0 +1,5 @@
+// Netlify function issuing the signed time-trap token for lead forms
+
+import { createFormTokenEndpoint, createNetlifyHandler, loadConfig } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createFormTokenEndpoint(loadConfig()), { method: 'GET' });
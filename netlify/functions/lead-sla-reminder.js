@@ -0,0 +1,27 @@
+// Netlify scheduled function emailing the office a digest of leads still
+// unanswered after the follow-up SLA (opt-in schedule in netlify.toml)
+
+import {
+  assertSharedLeadStore,
+  createLeadStoreFromConfig,
+  createMailTransport,
+  loadConfig,
+  sendSlaReminder
+} from '../../lib/leads/index.js';
+
+export const handler = async () => {
+  const config = loadConfig();
+  // Fails the run (visible in the function log) rather than reporting no leads
+  assertSharedLeadStore(config);
+
+  const { overdue, delivery } = await sendSlaReminder({
+    store: createLeadStoreFromConfig(config),
+    transport: createMailTransport(config.mail),
+    config
+  });
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ overdue, delivery: delivery?.status || null })
+  };
+};
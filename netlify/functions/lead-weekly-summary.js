@@ -0,0 +1,27 @@
+// Netlify scheduled function emailing the office the weekly SLA summary
+// (opt-in schedule in netlify.toml)
+
+import {
+  assertSharedLeadStore,
+  createLeadStoreFromConfig,
+  createMailTransport,
+  loadConfig,
+  sendWeeklySummary
+} from '../../lib/leads/index.js';
+
+export const handler = async () => {
+  const config = loadConfig();
+  // Fails the run (visible in the function log) rather than reporting no leads
+  assertSharedLeadStore(config);
+
+  const { stats, delivery } = await sendWeeklySummary({
+    store: createLeadStoreFromConfig(config),
+    transport: createMailTransport(config.mail),
+    config
+  });
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ stats, delivery: delivery?.status || null })
+  };
+};
@@ -0,0 +1,5 @@
+// Netlify function behind the emailed GDPR verification link
+
+import { createNetlifyHandler, createPrivacyConfirmEndpoint } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createPrivacyConfirmEndpoint(), { method: ['GET', 'POST'] });
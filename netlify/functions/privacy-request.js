@@ -0,0 +1,5 @@
+// Netlify function accepting GDPR export / erasure requests
+
+import { createNetlifyHandler, createPrivacyRequestEndpoint } from '../../lib/leads/index.js';
+
+export const handler = createNetlifyHandler(createPrivacyRequestEndpoint());
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+// Standalone local runtime for the serverless functions, for working on the
+// lead handlers without Vite or a hosting CLI (`npm run dev` mounts the same
+// routes on the Vite dev server). Leads, mail and attachments go to
+// LEAD_DATA_DIR; without SMTP_HOST emails are written as .eml files there.
+//
+//   LEAD_DATA_DIR=./.data npm run dev:functions
+//   FUNCTIONS_PLATFORM=netlify npm run dev:functions   # /api/* via netlify.toml redirects
+//
+//   curl -X POST localhost:8888/api/contact -H 'Content-Type: application/json' -d '{...}'
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFunctionsMiddleware } from '../lib/dev/functions.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const port = Number(process.env.PORT || 8888);
+const platform = process.env.FUNCTIONS_PLATFORM || 'vercel';
+
+const middleware = createFunctionsMiddleware({ root, platform });
+
+const server = http.createServer((req, res) => {
+  middleware(req, res, () => {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found. Functions are served under /api/<name> and /.netlify/functions/<name>.');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🛠️  Functions running at http://localhost:${port}/api/ and /.netlify/functions/ (/api → ${platform})`);
+});
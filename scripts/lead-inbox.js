@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// Local lead inbox: serves the staff dashboard against the configured lead
+// store (LEAD_DATA_DIR), without Netlify or Vercel. Needs ADMIN_PASSWORD or
+// ADMIN_TOKEN like the deployed functions.
+//
+//   ADMIN_PASSWORD=secret LEAD_DATA_DIR=./.data node scripts/lead-inbox.js
+
+import http from 'http';
+import { createAdminEndpoints, createNodeHandler } from '../lib/leads/index.js';
+
+const port = Number(process.env.PORT || 8788);
+const endpoints = createAdminEndpoints();
+
+const routes = {
+  '/api/admin': createNodeHandler(endpoints.page, { method: 'GET' }),
+  '/api/admin-leads': createNodeHandler(endpoints.leads, { method: 'GET' }),
+  '/api/admin-lead-status': createNodeHandler(endpoints.status),
+  '/api/admin-attachment': createNodeHandler(endpoints.attachment, { method: 'GET' })
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/') {
+    res.writeHead(302, { Location: '/api/admin' });
+    res.end();
+    return;
+  }
+
+  const route = routes[pathname];
+  if (!route) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+    return;
+  }
+
+  route(req, res).catch(error => {
+    console.error('❌ Lead inbox error:', error);
+    res.writeHead(500);
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`📬 Lead inbox running at http://localhost:${port}/`);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// Follow-up SLA jobs for self-hosted setups (cron) or manual runs. The same
+// jobs can run on Netlify as scheduled functions once they are opted in via
+// netlify.toml (see DEPLOYMENT.md).
+//
+//   node scripts/lead-sla.js reminder [--dry-run]
+//   node scripts/lead-sla.js summary [--dry-run]
+//
+// --dry-run prints the email instead of sending it.
+
+import {
+  createLeadStoreFromConfig,
+  createMailTransport,
+  loadConfig,
+  sendSlaReminder,
+  sendWeeklySummary
+} from '../lib/leads/index.js';
+
+const JOBS = {
+  reminder: sendSlaReminder,
+  summary: sendWeeklySummary
+};
+
+async function main() {
+  const [command, ...flags] = process.argv.slice(2);
+  const job = JOBS[command];
+
+  if (!job) {
+    console.error('Usage: node scripts/lead-sla.js reminder|summary [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = loadConfig();
+  const dryRun = flags.includes('--dry-run');
+  const result = await job({
+    store: createLeadStoreFromConfig(config),
+    transport: createMailTransport(config.mail),
+    config,
+    dryRun
+  });
+
+  if (!result.message) {
+    console.log(`✅ No lead is past the ${config.sla.hours}h SLA, nothing to send`);
+    return;
+  }
+
+  if (dryRun) {
+    console.log(`Subject: ${result.message.subject}\n\n${result.message.text}`);
+    return;
+  }
+
+  if (result.delivery.status === 'failed') {
+    console.error(`❌ Sending failed: ${result.delivery.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`✅ Sent "${result.message.subject}" to ${config.officeEmail}`);
+}
+
+main().catch(error => {
+  console.error('❌ SLA job failed:', error.message);
+  process.exitCode = 1;
+});
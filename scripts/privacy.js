@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Admin CLI for GDPR data-subject requests received outside the website
+// (phone, letter, email to the office). Uses the same store and audit log as
+// /api/privacy-request, reading LEAD_DATA_DIR etc. from the environment.
+//
+//   node scripts/privacy.js export <email> [--out file.json]
+//   node scripts/privacy.js erase <email> [--mode pseudonymize|delete] --yes
+//   node scripts/privacy.js audit
+
+import { writeFileSync } from 'fs';
+import {
+  createAttachmentStoreFromConfig,
+  createAuditLogFromConfig,
+  createDeadLetterStoreFromConfig,
+  createLeadStoreFromConfig,
+  eraseLeads,
+  exportLeads,
+  loadConfig
+} from '../lib/leads/index.js';
+
+const USAGE = `Usage:
+  node scripts/privacy.js export <email> [--out file.json]
+  node scripts/privacy.js erase <email> [--mode pseudonymize|delete] --yes
+  node scripts/privacy.js audit`;
+
+function parseArgs(argv) {
+  const [command, email, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--yes') {
+      options.yes = true;
+    } else if (rest[i] === '--out' || rest[i] === '--mode') {
+      options[rest[i].slice(2)] = rest[++i];
+    }
+  }
+
+  return { command, email, options };
+}
+
+async function main() {
+  const { command, email, options } = parseArgs(process.argv.slice(2));
+  const config = loadConfig();
+  const store = createLeadStoreFromConfig(config);
+  const auditLog = createAuditLogFromConfig(config);
+
+  if (command === 'audit') {
+    console.log(JSON.stringify(await auditLog.list(), null, 2));
+    return;
+  }
+
+  if (!['export', 'erase'].includes(command) || !email) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === 'export') {
+    const data = await exportLeads({ store, auditLog, email, via: 'cli' });
+    const json = JSON.stringify(data, null, 2);
+
+    if (options.out) {
+      writeFileSync(options.out, json);
+      console.error(`✅ Exported ${data.leads.length} lead(s) and ${data.interactions.length} merged submission(s) to ${options.out}`);
+    } else {
+      console.log(json);
+    }
+    return;
+  }
+
+  if (!options.yes) {
+    console.error('⚠️  Erasure cannot be undone. Re-run with --yes to confirm.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await eraseLeads({
+    store,
+    auditLog,
+    deadLetters: createDeadLetterStoreFromConfig(config),
+    attachmentStore: createAttachmentStoreFromConfig(config),
+    email,
+    mode: options.mode || config.privacy.erasureMode,
+    via: 'cli'
+  });
+  console.error(`✅ Erased ${result.erased} lead(s) and ${result.interactions} merged submission(s) (${result.mode})`);
+}
+
+main().catch(error => {
+  console.error('❌ Privacy request failed:', error.message);
+  process.exitCode = 1;
+});
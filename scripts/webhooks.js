@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+// Admin CLI for webhook deliveries that still failed after their retries.
+// Reads the dead letters from LEAD_DATA_DIR and the targets from WEBHOOKS,
+// like the form functions. Run `replay` from cron to drain the list.
+//
+//   node scripts/webhooks.js list
+//   node scripts/webhooks.js replay [<delivery id>]
+
+import {
+  createDeadLetterStoreFromConfig,
+  createLeadStoreFromConfig,
+  loadConfig,
+  replayDeadLetters
+} from '../lib/leads/index.js';
+
+const USAGE = `Usage:
+  node scripts/webhooks.js list
+  node scripts/webhooks.js replay [<delivery id>]`;
+
+async function main() {
+  const [command, deliveryId] = process.argv.slice(2);
+  const config = loadConfig();
+  const deadLetters = createDeadLetterStoreFromConfig(config);
+
+  if (command === 'list') {
+    const letters = await deadLetters.list();
+    for (const letter of letters) {
+      console.log(`${letter.deliveryId}  ${letter.target}  ${letter.event}  ${letter.attempts} attempt(s)  ${letter.lastError}  ${letter.failedAt}`);
+    }
+    console.error(`${letters.length} dead letter(s)`);
+    return;
+  }
+
+  if (command !== 'replay') {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await replayDeadLetters({
+    targets: config.webhooks.targets,
+    deadLetters,
+    store: createLeadStoreFromConfig(config),
+    retry: { attempts: config.webhooks.attempts, timeoutMs: config.webhooks.timeoutMs },
+    deliveryId
+  });
+  console.error(`✅ Sent ${result.sent}, still failing ${result.failed}, skipped ${result.skipped} (target no longer configured)`);
+  if (result.failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Webhook replay failed:', error.message);
+  process.exitCode = 1;
+});
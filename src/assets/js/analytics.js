@@ -58,11 +58,10 @@ class AnalyticsManager {
   }
 
   setupLeadTracking() {
-    // Track form interactions
-    document.addEventListener('submit', (event) => {
-      if (event.target.matches('form[data-netlify="true"]')) {
-        this.trackLeadGeneration(event.target);
-      }
+    // Track leads once the submission adapter reports success (see form-adapters.js),
+    // so failed or abandoned submissions are not counted
+    document.addEventListener('lead:submitted', (event) => {
+      this.trackLeadGeneration(event.target, event.detail);
     });
 
     // Track CTA button clicks
@@ -130,16 +129,18 @@ class AnalyticsManager {
     });
   }
 
-  trackLeadGeneration(form) {
-    const formData = new FormData(form);
-    const courseInterest = formData.get('courseInterest') || 'unknown';
-    const contactMethod = formData.get('preferredContact') || 'email';
+  trackLeadGeneration(form, detail = {}) {
+    const fields = detail.fields || Object.fromEntries(new FormData(form));
+    const courseInterest = fields.courseInterest || 'unknown';
+    const contactMethod = fields.preferredContact || 'email';
     
     const leadData = {
       event_category: 'Lead Generation',
       event_label: courseInterest,
       course_interest: courseInterest,
       contact_method: contactMethod,
+      form_type: detail.formType || 'contact',
+      submission_method: detail.adapter || 'function',
       lead_source: this.getLeadSource(),
       value: this.getLeadValue(courseInterest)
     };
@@ -0,0 +1,316 @@
+/**
+ * Form submission adapters for Flugschule Mallorca
+ * Each lead form is sent through one adapter, chosen per form:
+ *   1. `data-adapter="function|netlify|mailto"` on the form
+ *   2. `data-netlify="true"` on the form selects Netlify Forms
+ *   3. `data-form-adapter` on <html>, the site-wide default
+ *   4. otherwise the lead function (JSON to /api/contact)
+ * Adapters send a snapshot of the form (see createSubmission), so the offline
+ * queue can resend it later, and resolve (never reject) with
+ * `{ ok, status, result, aborted, retryAfter }`, so the forms handle all of
+ * them the same way. `retryAfter` is the server's `Retry-After` in seconds, or null.
+ */
+
+// Give up on a submission after this long; uploads get more time
+const SUBMIT_TIMEOUT_MS = 15000;
+const UPLOAD_TIMEOUT_MS = 60000;
+
+// Recipient of the mailto: fallback unless the form sets `data-mailto`
+const DEFAULT_MAILTO = 'contact@flightservice365.com';
+
+// Fields that only matter to the server and stay out of generated emails
+const INTERNAL_FIELDS = ['form-name', 'formToken', 'consentVersion', 'consentLocale', 'bot-field', 'website'];
+
+const GENERIC_ERROR = 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.';
+const TIMEOUT_ERROR = 'Der Server antwortet nicht. Bitte versuchen Sie es in einigen Minuten erneut.';
+const NETWORK_ERROR = 'Die Anfrage konnte nicht gesendet werden. Bitte prüfen Sie Ihre Internetverbindung.';
+
+export const FORM_ADAPTERS = {
+  function: submitToFunction,
+  netlify: submitToNetlify,
+  mailto: submitByMailto
+};
+
+/**
+ * Name of the adapter that sends `form`
+ */
+export function getFormAdapter(form) {
+  const configured = form.dataset.adapter
+    || (form.dataset.netlify === 'true' ? 'netlify' : '')
+    || document.documentElement.dataset.formAdapter;
+  return FORM_ADAPTERS[configured] ? configured : 'function';
+}
+
+/**
+ * Snapshot of `form` for its adapter: the target URL, the field entries (files
+ * included) and the idempotency key of the current form session as `id`.
+ * Plain data, so it can be stored in IndexedDB and sent again later.
+ * @param {HTMLFormElement} form
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Lead function used when the form has none
+ * @param {string} [options.formType] - `contact` or `charter`
+ */
+export function createSubmission(form, { endpoint, formType = 'contact' } = {}) {
+  const adapter = getFormAdapter(form);
+  return {
+    id: getIdempotencyKey(form),
+    formType,
+    adapter,
+    url: adapter === 'netlify'
+      ? form.getAttribute('action') || '/'
+      : getFormEndpoint(form, endpoint || '/api/contact'),
+    formName: form.getAttribute('name') || 'contact',
+    entries: Array.from(new FormData(form).entries()),
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Send `form` through its adapter. `onSuccess(detail)` runs once the adapter
+ * reports success, before the caller resets the form; `detail` carries the
+ * adapter name, the server result and the submitted fields. The outcome
+ * includes the `submission`, so failed ones can be queued (offline-queue.js).
+ * @param {HTMLFormElement} form
+ * @param {Object} [options] - See createSubmission, plus `onSuccess`
+ */
+export function submitForm(form, { endpoint, formType, onSuccess } = {}) {
+  const submission = createSubmission(form, { endpoint, formType });
+  const { adapter } = submission;
+
+  return FORM_ADAPTERS[adapter](submission, form)
+    .then(outcome => {
+      if (outcome.ok) {
+        if (onSuccess) {
+          onSuccess({ adapter, fields: getSubmissionFields(submission), result: outcome.result });
+        }
+      } else if (isRetryable(outcome) && outcome.status !== 409 && adapter !== 'mailto' && form.dataset.fallback === 'mailto') {
+        // Offer the visitor's mail program when the server cannot be reached,
+        // not while it is still processing this very submission
+        outcome.result = { ...outcome.result, mailto: buildMailtoUrl(form) };
+      }
+      return { ...outcome, submission };
+    });
+}
+
+/**
+ * Whether a failed outcome may succeed when sent again unchanged: the network
+ * or the server was down, the visitor was rate-limited (429), or the server is
+ * still processing the same idempotency key (409). Rejected input is not.
+ */
+export function isRetryable(outcome) {
+  return !outcome.ok && !outcome.aborted
+    && (outcome.status === 0 || outcome.status === 409 || outcome.status === 429 || outcome.status >= 500);
+}
+
+/**
+ * Text fields of a submission, for analytics and the success callback
+ */
+export function getSubmissionFields(submission) {
+  const fields = {};
+  for (const [name, value] of submission.entries) {
+    if (!(value instanceof File) && !INTERNAL_FIELDS.includes(name)) fields[name] = value;
+  }
+  return fields;
+}
+
+/**
+ * Endpoint a form posts to: `data-endpoint`, then the `action` attribute
+ */
+export function getFormEndpoint(form, fallback) {
+  return form.dataset.endpoint || form.getAttribute('action') || fallback;
+}
+
+/**
+ * Post a lead form to the lead pipeline. Sends JSON, or multipart when files
+ * are attached, and always asks for JSON so the server does not redirect.
+ */
+function submitToFunction(submission) {
+  const hasFiles = containsFiles(submission.entries);
+
+  const headers = {
+    'Accept': 'application/json',
+    'Idempotency-Key': submission.id
+  };
+  let body;
+  if (hasFiles) {
+    // The browser sets the multipart boundary itself
+    body = toFormData(submission.entries);
+  } else {
+    const data = {};
+    for (const [name, value] of submission.entries) {
+      if (!(value instanceof File)) data[name] = value;
+    }
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(data);
+  }
+
+  return sendRequest(submission.url, { headers, body }, hasFiles)
+    .then(outcome => {
+      if (!outcome.response) return outcome;
+      const { ok, status } = outcome.response;
+      return outcome.response.json()
+        .catch(() => ({}))
+        .then(result => ({ ok, status, result, aborted: false, retryAfter: getRetryAfter(outcome.response) }));
+    });
+}
+
+/**
+ * Post a form to Netlify Forms: url-encoded to `/` (or the form's `action`)
+ * with the `form-name` Netlify detected at build time. Netlify answers with an
+ * HTML page, so the result carries no server message.
+ */
+function submitToNetlify(submission) {
+  const hasFiles = containsFiles(submission.entries);
+  const entries = submission.entries.some(([name]) => name === 'form-name')
+    ? submission.entries
+    : [['form-name', submission.formName], ...submission.entries];
+
+  let headers = {};
+  let body;
+  if (hasFiles) {
+    body = toFormData(entries);
+  } else {
+    const params = new URLSearchParams();
+    for (const [name, value] of entries) {
+      if (!(value instanceof File)) params.append(name, value);
+    }
+    headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    body = params.toString();
+  }
+
+  return sendRequest(submission.url, { headers, body }, hasFiles)
+    .then(outcome => {
+      if (!outcome.response) return outcome;
+      const { ok, status } = outcome.response;
+      return { ok, status, aborted: false, result: ok ? {} : { error: GENERIC_ERROR }, retryAfter: getRetryAfter(outcome.response) };
+    });
+}
+
+/**
+ * Open the visitor's mail program with the form contents. Nothing is sent by
+ * the site, so this always counts as a success once the mail window opens.
+ */
+function submitByMailto(submission, form) {
+  window.location.href = buildMailtoUrl(form);
+  return Promise.resolve({ ok: true, status: 0, aborted: false, result: {}, retryAfter: null });
+}
+
+/**
+ * `mailto:` link with one "Label: value" line per filled field. Consent and
+ * internal fields are left out; attachments cannot be added to a mailto link,
+ * so the text asks for them to be attached by hand.
+ */
+export function buildMailtoUrl(form) {
+  const recipient = form.dataset.mailto || DEFAULT_MAILTO;
+  const lines = [];
+  let hasFiles = false;
+
+  form.querySelectorAll('input, textarea, select').forEach(field => {
+    if (!field.name || field.disabled || INTERNAL_FIELDS.includes(field.name)) return;
+    if (field.type === 'hidden' || field.type === 'submit' || field.type === 'button') return;
+    if (field.type === 'checkbox' && /consent|privacy|datenschutz/i.test(field.name)) return;
+    if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+    if (field.type === 'file') {
+      hasFiles = hasFiles || field.files.length > 0;
+      return;
+    }
+
+    const value = field.type === 'checkbox' ? 'Ja' : field.value.trim();
+    if (value) {
+      lines.push(`${getFieldLabel(field)}: ${value}`);
+    }
+  });
+
+  if (hasFiles) {
+    lines.push('', 'Bitte fügen Sie Ihre Anhänge dieser E-Mail manuell hinzu.');
+  }
+
+  const subject = form.dataset.mailtoSubject || 'Anfrage über die Website';
+  return `mailto:${recipient}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+}
+
+/**
+ * Idempotency key for the current form session, sent as `Idempotency-Key`.
+ * Repeated submissions with the same key (double taps, retries) return the
+ * original response instead of creating a second lead.
+ */
+export function getIdempotencyKey(form) {
+  if (!form.dataset.idempotencyKey) {
+    form.dataset.idempotencyKey = window.crypto && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+  return form.dataset.idempotencyKey;
+}
+
+/**
+ * Start a new form session after a successful submission
+ */
+export function resetIdempotencyKey(form) {
+  delete form.dataset.idempotencyKey;
+}
+
+/**
+ * POST with a timeout. Resolves with `{ response }`, or with a failed outcome
+ * carrying a German `result.error` for network errors and timeouts; leaving
+ * the page cancels the request (`aborted: true`).
+ */
+function sendRequest(url, { headers, body }, hasFiles) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, hasFiles ? UPLOAD_TIMEOUT_MS : SUBMIT_TIMEOUT_MS);
+
+  // Leaving the page cancels the request instead of leaving it dangling
+  const abortOnLeave = () => controller.abort();
+  window.addEventListener('pagehide', abortOnLeave);
+
+  return fetch(url, { method: 'POST', headers, body, signal: controller.signal })
+    .then(response => ({ response }))
+    .catch(error => {
+      if (timedOut) {
+        return { ok: false, status: 0, aborted: false, result: { error: TIMEOUT_ERROR }, retryAfter: null };
+      }
+      if (error.name === 'AbortError') {
+        return { ok: false, status: 0, aborted: true, result: {}, retryAfter: null };
+      }
+      return { ok: false, status: 0, aborted: false, result: { error: NETWORK_ERROR }, retryAfter: null };
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      window.removeEventListener('pagehide', abortOnLeave);
+    });
+}
+
+/**
+ * `Retry-After` in seconds; the header may also be an HTTP date
+ */
+function getRetryAfter(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return null;
+
+  const seconds = /^\d+$/.test(value.trim())
+    ? Number(value)
+    : Math.ceil((Date.parse(value) - Date.now()) / 1000);
+  return Number.isFinite(seconds) ? Math.max(0, seconds) : null;
+}
+
+function containsFiles(entries) {
+  return entries.some(([, value]) => value instanceof File && value.size > 0);
+}
+
+function toFormData(entries) {
+  const formData = new FormData();
+  for (const [name, value] of entries) {
+    formData.append(name, value);
+  }
+  return formData;
+}
+
+function getFieldLabel(field) {
+  const label = field.id && document.querySelector(`label[for="${CSS.escape(field.id)}"]`);
+  const text = label ? label.textContent.replace(/\*/g, '').trim() : '';
+  return text || field.name;
+}
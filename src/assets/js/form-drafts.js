@@ -0,0 +1,256 @@
+/**
+ * Form drafts for Flugschule Mallorca
+ * Saves what the visitor typed into a form in localStorage, per form id, so a
+ * reload or accidental navigation does not lose a long enquiry. On the next
+ * visit the visitor is asked whether to restore the draft. Consent checkboxes,
+ * files and hidden fields are never saved. Drafts are removed after a
+ * successful submission or once they are older than the TTL; a queued
+ * submission keeps its draft until the offline queue has delivered it, and
+ * that draft is not offered while the submission is still queued, since
+ * sending it again would create a second enquiry.
+ */
+
+const STORAGE_PREFIX = 'flugschule:draft:';
+
+// Drafts older than this are discarded instead of offered
+const DRAFT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Wait for a pause in typing before writing to localStorage
+const SAVE_DELAY_MS = 500;
+
+const SKIPPED_TYPES = ['hidden', 'file', 'password', 'submit', 'button', 'reset'];
+
+/**
+ * Autosave `form` and offer to restore a saved draft.
+ * @param {HTMLFormElement} form
+ * @param {Object} [options]
+ * @param {string} [options.id] - Storage id, defaults to the form's id or name
+ * @param {string[]} [options.exclude] - Field names that are never saved (consent, honeypot)
+ * @param {number} [options.ttlMs]
+ * @param {Function} [options.isPending] - `(submissionId) => Promise<boolean>`,
+ *   whether a queued submission is still waiting to be sent
+ * @returns {{clear: Function, keepUntilDelivered: Function}} Call `clear()`
+ *   once the form was submitted, `keepUntilDelivered(submissionId)` once it was queued
+ */
+export function initFormDraft(form, { id, exclude = [], ttlMs = DRAFT_TTL_MS, isPending } = {}) {
+  const key = STORAGE_PREFIX + (id || form.id || form.getAttribute('name') || 'form');
+  let timer = null;
+  // Saving waits until the visitor has answered the restore prompt, so the
+  // old draft is not overwritten by a few keystrokes
+  let paused = false;
+
+  const isSaved = field => field.name
+    && !field.disabled
+    && !SKIPPED_TYPES.includes(field.type)
+    && !exclude.includes(field.name);
+
+  function save(extra) {
+    timer = null;
+    if (paused) return;
+
+    const values = [];
+    for (const field of form.elements) {
+      if (!isSaved(field)) continue;
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        if (field.checked) values.push([field.name, field.value]);
+      } else if (field.type === 'select-multiple') {
+        for (const option of field.selectedOptions) values.push([field.name, option.value]);
+      } else if (field.value.trim()) {
+        values.push([field.name, field.value]);
+      }
+    }
+
+    if (values.length === 0) {
+      removeItem(key);
+    } else {
+      setItem(key, JSON.stringify({ savedAt: Date.now(), values, ...extra }));
+    }
+  }
+
+  function scheduleSave() {
+    clearTimeout(timer);
+    timer = setTimeout(save, SAVE_DELAY_MS);
+  }
+
+  function restore(values) {
+    const remaining = values.slice();
+    for (const field of form.elements) {
+      if (!isSaved(field)) continue;
+
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = remaining.some(([name, value]) => name === field.name && value === field.value);
+      } else if (field.type === 'select-multiple') {
+        for (const option of field.options) {
+          option.selected = remaining.some(([name, value]) => name === field.name && value === option.value);
+        }
+      } else {
+        const index = remaining.findIndex(([name]) => name === field.name);
+        if (index === -1) continue;
+        field.value = remaining[index][1];
+        remaining.splice(index, 1);
+      }
+
+      // Let dependent fields update (e.g. the passenger limit of an aircraft)
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+
+  function offerRestore(draft) {
+    paused = true;
+    showRestorePrompt(form, draft, {
+      onRestore() {
+        restore(draft.values);
+        paused = false;
+      },
+      onDiscard() {
+        removeItem(key);
+        paused = false;
+        scheduleSave();
+      }
+    });
+  }
+
+  const draft = readDraft(key, ttlMs);
+  if (draft && draft.submissionId && isPending) {
+    isPending(draft.submissionId).then(pending => {
+      // The queue may have delivered it meanwhile and removed the draft
+      const current = readDraft(key, ttlMs);
+      if (!current || current.submissionId !== draft.submissionId) return;
+      if (pending) {
+        showPendingNote(form, current);
+      } else {
+        offerRestore(current);
+      }
+    });
+  } else if (draft) {
+    offerRestore(draft);
+  }
+
+  form.addEventListener('input', scheduleSave);
+  form.addEventListener('change', scheduleSave);
+
+  return {
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      removeItem(key);
+      form.querySelectorAll('.form-draft-prompt').forEach(prompt => prompt.remove());
+      paused = false;
+    },
+
+    // Save the submitted values now, tagged for clearDeliveredDraft. Typing
+    // afterwards saves a new, untagged draft that delivery leaves alone.
+    keepUntilDelivered(submissionId) {
+      clearTimeout(timer);
+      form.querySelectorAll('.form-draft-prompt').forEach(prompt => prompt.remove());
+      paused = false;
+      save({ submissionId });
+    }
+  };
+}
+
+/**
+ * Remove the draft kept for a queued submission once the queue has delivered
+ * it, on whichever page or visit that happens
+ * @param {string} submissionId - The submission's idempotency key
+ */
+export function clearDeliveredDraft(submissionId) {
+  let keys;
+  try {
+    keys = Object.keys(window.localStorage).filter(key => key.startsWith(STORAGE_PREFIX));
+  } catch (error) {
+    return;
+  }
+
+  for (const key of keys) {
+    try {
+      if (JSON.parse(getItem(key)).submissionId === submissionId) {
+        removeItem(key);
+      }
+    } catch (error) {
+      // Unreadable drafts are discarded when their form loads
+    }
+  }
+}
+
+function readDraft(key, ttlMs) {
+  const raw = getItem(key);
+  if (!raw) return null;
+
+  try {
+    const draft = JSON.parse(raw);
+    if (Array.isArray(draft.values) && draft.values.length > 0 && Date.now() - draft.savedAt <= ttlMs) {
+      return draft;
+    }
+  } catch (error) {
+    // Unreadable drafts are discarded below
+  }
+  removeItem(key);
+  return null;
+}
+
+function showRestorePrompt(form, draft, { onRestore, onDiscard }) {
+  const prompt = document.createElement('div');
+  prompt.className = 'form-draft-prompt bg-blue-50 border border-blue-200 text-blue-800 px-6 py-4 rounded-lg mb-6';
+  prompt.setAttribute('role', 'status');
+  prompt.innerHTML = `
+    <p class="text-sm mb-3"></p>
+    <div class="flex gap-3">
+      <button type="button" data-draft-action="restore" class="bg-blue-600 text-white text-sm font-semibold px-4 py-2 rounded-lg">Entwurf wiederherstellen</button>
+      <button type="button" data-draft-action="discard" class="text-sm font-semibold px-4 py-2 rounded-lg underline">Verwerfen</button>
+    </div>
+  `;
+  const savedAt = new Date(draft.savedAt).toLocaleString('de-DE', { dateStyle: 'medium', timeStyle: 'short' });
+  prompt.querySelector('p').textContent = `Sie haben einen nicht gesendeten Entwurf vom ${savedAt}. Möchten Sie ihn wiederherstellen?`;
+
+  prompt.addEventListener('click', event => {
+    const action = event.target.closest('[data-draft-action]')?.dataset.draftAction;
+    if (!action) return;
+    prompt.remove();
+    if (action === 'restore') {
+      onRestore();
+    } else {
+      onDiscard();
+    }
+  });
+
+  form.insertBefore(prompt, form.firstChild);
+}
+
+// Shown instead of the restore prompt while the draft's submission is queued;
+// main.js removes it with the queued-submission message once it is sent
+function showPendingNote(form, draft) {
+  const note = document.createElement('div');
+  note.className = 'form-draft-prompt bg-blue-50 border border-blue-200 text-blue-800 px-6 py-4 rounded-lg mb-6';
+  note.setAttribute('role', 'status');
+  note.dataset.queuedSubmission = draft.submissionId;
+  const savedAt = new Date(draft.savedAt).toLocaleString('de-DE', { dateStyle: 'medium', timeStyle: 'short' });
+  note.innerHTML = '<p class="text-sm"></p>';
+  note.querySelector('p').textContent = `Ihre Anfrage vom ${savedAt} ist gespeichert und wird automatisch gesendet, sobald die Verbindung wieder besteht. Sie müssen sie nicht erneut absenden.`;
+  form.insertBefore(note, form.firstChild);
+}
+
+// localStorage throws when it is disabled or full (e.g. private browsing)
+function getItem(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+function setItem(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (error) {
+    // The form works without drafts
+  }
+}
+
+function removeItem(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    // Nothing to clean up
+  }
+}
@@ -1,5 +1,35 @@
 // Main JavaScript file for Flugschule Mallorca
 
+import { CHARTER_FORM_SCHEMA, CONTACT_FORM_SCHEMA } from '../../../lib/forms/schema.js';
+import { MESSAGES, validateValue } from '../../../lib/forms/validate.js';
+import { PRIVACY_POLICY_VERSION, getConsentText } from '../../../lib/forms/consent.js';
+import { getSubmissionFields, resetIdempotencyKey } from './form-adapters.js';
+import { initOfflineQueue, isQueued, submitFormOrQueue } from './offline-queue.js';
+import { clearDeliveredDraft, initFormDraft } from './form-drafts.js';
+
+/**
+ * Message for a submission kept in the offline queue, by why it was queued
+ */
+function getQueuedMessage({ status, retryAt }) {
+    if (status === 0) {
+        return 'Sie sind offline. Ihre Anfrage ist gespeichert und wird automatisch gesendet, sobald Sie wieder online sind.';
+    }
+    if (status === 409) {
+        return 'Ihre Anfrage wird bereits bearbeitet. Wir prüfen in Kürze automatisch, ob sie angekommen ist.';
+    }
+    if (status === 429) {
+        const minutes = Math.max(1, Math.ceil((retryAt - Date.now()) / 60000));
+        return `Zu viele Anfragen in kurzer Zeit. Ihre Anfrage ist gespeichert und wird in etwa ${minutes} ${minutes === 1 ? 'Minute' : 'Minuten'} automatisch gesendet.`;
+    }
+    return 'Unser Server ist gerade nicht erreichbar. Ihre Anfrage ist gespeichert und wird automatisch erneut gesendet.';
+}
+
+// Validation schemas shared with the lead pipeline, keyed by form type
+const FORM_SCHEMAS = {
+    contact: CONTACT_FORM_SCHEMA,
+    charter: CHARTER_FORM_SCHEMA
+};
+
 // Performance monitoring
 const perfObserver = new PerformanceObserver((list) => {
     for (const entry of list.getEntries()) {
@@ -21,6 +51,7 @@ document.addEventListener('DOMContentLoaded', function() {
     initNavigationActiveState();
     initSmoothScrolling();
     initContactForm();
+    initOfflineSubmissions();
     
     // Use requestIdleCallback for non-critical initialization
     if ('requestIdleCallback' in window) {
@@ -919,9 +950,19 @@ function initCourseRegistration() {
  * Initialize contact form functionality
  */
 function initContactForm() {
-    const contactForm = document.querySelector('form');
+    // The charter form has its own handler (initCharterInquiry)
+    const contactForm = document.querySelector('form:not(#charter-form)');
     if (!contactForm) return;
     
+    // Time-trap token for server-side spam scoring
+    attachFormToken(contactForm);
+    attachConsentVersion(contactForm);
+    const draft = initFormDraft(contactForm, {
+        id: contactForm.id || 'contact',
+        exclude: getDraftExcludedFields('contact'),
+        isPending: isQueued
+    });
+    
     // Add form validation on submit
     contactForm.addEventListener('submit', function(e) {
         e.preventDefault();
@@ -937,8 +978,6 @@ function initContactForm() {
             return;
         }
         
-        // Get form data
-        const formData = new FormData(this);
         const submitButton = this.querySelector('button[type="submit"]');
         const originalButtonText = submitButton.innerHTML;
         
@@ -952,10 +991,35 @@ function initContactForm() {
             Wird gesendet...
         `;
         
-        // Simulate form submission (replace with actual form handling service like Netlify Forms)
-        setTimeout(() => {
+        submitFormOrQueue(contactForm, {
+            endpoint: '/api/contact',
+            formType: 'contact',
+            onSuccess: detail => announceLeadSubmitted(contactForm, 'contact', detail)
+        }).then(outcome => {
+            const { ok, aborted, queued, submission, result } = outcome;
+            if (aborted) {
+                submitButton.disabled = false;
+                submitButton.innerHTML = originalButtonText;
+                return;
+            }
+            if (queued) {
+                draft.keepUntilDelivered(submission.id);
+                resetIdempotencyKey(contactForm);
+                handleFormQueued(contactForm, submitButton, originalButtonText, submission.id, getQueuedMessage(outcome));
+                attachFormToken(contactForm);
+                return;
+            }
+            if (!ok) {
+                showServerFieldErrors(contactForm, result);
+                handleFormError(contactForm, submitButton, originalButtonText, result.error, result.mailto);
+                return;
+            }
+            
+            resetIdempotencyKey(contactForm);
+            draft.clear();
             handleFormSuccess(contactForm, submitButton, originalButtonText);
-        }, 2000);
+            attachFormToken(contactForm);
+        });
     });
     
     // Real-time form validation
@@ -973,8 +1037,8 @@ function initContactForm() {
             }
         });
         
-        // Special handling for checkbox
-        if (field.type === 'checkbox') {
+        // Checkboxes and file pickers only fire change
+        if (field.type === 'checkbox' || field.type === 'file') {
             field.addEventListener('change', function() {
                 validateField(this);
             });
@@ -982,6 +1046,82 @@ function initContactForm() {
     });
 }
 
+/**
+ * Fetch a signed time-trap token and add it to the form as a hidden field.
+ * The server uses it to recognise forms submitted within seconds of loading.
+ */
+function attachFormToken(form) {
+    fetch('/api/form-token', { headers: { 'Accept': 'application/json' } })
+        .then(response => response.ok ? response.json() : null)
+        .then(data => {
+            if (!data || !data.token) return;
+            
+            let tokenInput = form.querySelector('input[name="formToken"]');
+            if (!tokenInput) {
+                tokenInput = document.createElement('input');
+                tokenInput.type = 'hidden';
+                tokenInput.name = 'formToken';
+                form.appendChild(tokenInput);
+            }
+            tokenInput.value = data.token;
+        })
+        .catch(() => {
+            // Without a token the submission is still accepted, just scored higher
+        });
+}
+
+/**
+ * Show the server's `fieldErrors` and `missingFields` next to the inputs
+ */
+function showServerFieldErrors(form, result) {
+    const messages = { ...result.fieldErrors };
+    (result.missingFields || []).forEach(name => {
+        if (!messages[name]) messages[name] = MESSAGES[getValidationLocale()].required;
+    });
+    
+    let firstField = null;
+    Object.entries(messages).forEach(([name, message]) => {
+        const field = form.querySelector(`[name="${name}"]`);
+        if (!field) return;
+        
+        field.classList.remove('error', 'border-red-500');
+        const existingError = field.parentNode.querySelector('.error-message');
+        if (existingError) existingError.remove();
+        
+        showFieldError(field, message);
+        firstField = firstField || field;
+    });
+    
+    return firstField;
+}
+
+/**
+ * Show the versioned consent text next to the privacy checkbox and send the
+ * version along, so the server stores exactly the wording the visitor agreed to.
+ */
+function attachConsentVersion(form) {
+    const checkbox = form.querySelector('input[type="checkbox"][name="privacy"]');
+    if (!checkbox) return;
+    
+    const locale = getValidationLocale();
+    const consentText = form.querySelector('[data-consent-text]');
+    if (consentText) {
+        consentText.textContent = getConsentText(PRIVACY_POLICY_VERSION, locale);
+    }
+    
+    const hiddenFields = { consentVersion: PRIVACY_POLICY_VERSION, consentLocale: locale };
+    for (const [name, value] of Object.entries(hiddenFields)) {
+        let input = form.querySelector(`input[name="${name}"]`);
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            form.appendChild(input);
+        }
+        input.value = value;
+    }
+}
+
 /**
  * Validate entire form
  */
@@ -998,6 +1138,98 @@ function validateForm(form) {
     return isValid;
 }
 
+/**
+ * Fields kept out of saved drafts: consent must be given again for every
+ * submission, and the honeypot stays empty
+ */
+function getDraftExcludedFields(formType) {
+    const consentFields = Object.entries(FORM_SCHEMAS[formType].fields)
+        .filter(([, rules]) => rules.type === 'consent')
+        .map(([name]) => name);
+    return [...consentFields, 'website'];
+}
+
+/**
+ * Tell listeners (analytics.js) that a lead was submitted. Fired from the
+ * adapter's success callback, while the form still holds its values.
+ */
+function announceLeadSubmitted(target, formType, { adapter, fields, result }) {
+    target.dispatchEvent(new CustomEvent('lead:submitted', {
+        bubbles: true,
+        detail: { formType, adapter, fields, leadId: result.leadId || null }
+    }));
+    
+    // Send charter enquiries to analytics if available
+    if (formType === 'charter' && typeof gtag !== 'undefined') {
+        gtag('event', 'charter_inquiry', {
+            'aircraft': fields.aircraft,
+            'passengers': fields.passengers,
+            'departure': fields.departure,
+            'destination': fields.destination
+        });
+    }
+}
+
+/**
+ * Send submissions queued while offline (see offline-queue.js) on this visit
+ * and whenever the connection comes back
+ */
+function initOfflineSubmissions() {
+    initOfflineQueue({
+        onDelivered(submission, { result }) {
+            document.querySelectorAll(`[data-queued-submission="${submission.id}"]`).forEach(message => message.remove());
+            clearDeliveredDraft(submission.id);
+            announceLeadSubmitted(document, submission.formType, {
+                adapter: submission.adapter,
+                fields: getSubmissionFields(submission),
+                result
+            });
+            showNotification('Ihre gespeicherte Anfrage wurde erfolgreich gesendet.', 'success');
+        },
+        onRejected(submission, { result }) {
+            document.querySelectorAll(`[data-queued-submission="${submission.id}"]`).forEach(message => message.remove());
+            showNotification(result.error || 'Ihre gespeicherte Anfrage konnte nicht gesendet werden. Bitte füllen Sie das Formular erneut aus.', 'error');
+        }
+    });
+}
+
+/**
+ * Show that a submission was queued (see getQueuedMessage). The message stays
+ * until the queue delivers it.
+ */
+function handleFormQueued(form, submitButton, originalButtonText, submissionId, message) {
+    // Remove any existing messages
+    const existingMessage = form.querySelector('.form-message');
+    if (existingMessage) {
+        existingMessage.remove();
+    }
+    
+    const queuedMessage = document.createElement('div');
+    queuedMessage.className = 'form-message bg-amber-50 border border-amber-200 text-amber-800 px-6 py-4 rounded-lg mb-6';
+    queuedMessage.dataset.queuedSubmission = submissionId;
+    queuedMessage.innerHTML = `
+        <div class="flex items-center">
+            <svg class="w-6 h-6 mr-3 text-amber-600" fill="currentColor" viewBox="0 0 20 20">
+                <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clip-rule="evenodd"/>
+            </svg>
+            <div>
+                <h4 class="font-semibold mb-1">Anfrage gespeichert</h4>
+                <p class="text-sm"></p>
+            </div>
+        </div>
+    `;
+    queuedMessage.querySelector('p').textContent = message;
+    
+    form.insertBefore(queuedMessage, form.firstChild);
+    form.reset();
+    
+    // Reset button
+    submitButton.disabled = false;
+    submitButton.innerHTML = originalButtonText;
+    
+    queuedMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
 /**
  * Handle successful form submission
  */
@@ -1056,7 +1288,7 @@ function handleFormSuccess(form, submitButton, originalButtonText) {
 /**
  * Handle form submission error
  */
-function handleFormError(form, submitButton, originalButtonText, errorMsg = 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.') {
+function handleFormError(form, submitButton, originalButtonText, errorMsg = 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.', mailtoUrl = null) {
     // Remove any existing messages
     const existingMessage = form.querySelector('.form-message');
     if (existingMessage) {
@@ -1073,10 +1305,21 @@ function handleFormError(form, submitButton, originalButtonText, errorMsg = 'Ein
             </svg>
             <div>
                 <h4 class="font-semibold mb-1">Fehler beim Senden</h4>
-                <p class="text-sm">${errorMsg}</p>
+                <p class="text-sm"></p>
             </div>
         </div>
     `;
+    // Server messages are inserted as text, never as markup
+    errorMessage.querySelector('p').textContent = errorMsg || 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.';
+    
+    // mailto: fallback (`data-fallback="mailto"`) when the server is unreachable
+    if (mailtoUrl) {
+        const mailtoLink = document.createElement('a');
+        mailtoLink.href = mailtoUrl;
+        mailtoLink.className = 'block mt-2 text-sm font-semibold underline';
+        mailtoLink.textContent = 'Anfrage stattdessen per E-Mail senden';
+        errorMessage.querySelector('p').after(mailtoLink);
+    }
     
     // Insert error message at the top of the form
     form.insertBefore(errorMessage, form.firstChild);
@@ -1096,15 +1339,26 @@ function handleFormError(form, submitButton, originalButtonText, errorMsg = 'Ein
     errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
+/**
+ * Get the validation schema for a form (`data-schema`, defaults to the contact form)
+ */
+function getFormSchema(form) {
+    if (!form) return null;
+    return FORM_SCHEMAS[form.dataset.schema || 'contact'] || null;
+}
+
+/**
+ * Get the locale for validation messages from the page language
+ */
+function getValidationLocale() {
+    return (document.documentElement.lang || 'de').toLowerCase().startsWith('en') ? 'en' : 'de';
+}
+
 /**
  * Validate individual form field
  */
 function validateField(field) {
-    const value = field.value ? field.value.trim() : '';
-    const fieldType = field.type;
-    const fieldName = field.name;
-    let isValid = true;
-    let errorMessage = '';
+    const schema = getFormSchema(field.form);
     
     // Remove existing error styling
     field.classList.remove('error', 'border-red-500');
@@ -1113,92 +1367,53 @@ function validateField(field) {
         existingError.remove();
     }
     
-    // Special handling for checkbox (GDPR consent)
-    if (fieldType === 'checkbox' && field.hasAttribute('required')) {
-        if (!field.checked) {
-            isValid = false;
-            errorMessage = 'Sie müssen der Datenschutzerklärung zustimmen.';
-        }
-    }
-    // Check if required field is empty
-    else if (field.hasAttribute('required') && !value) {
-        isValid = false;
-        switch (fieldName) {
-            case 'name':
-                errorMessage = 'Bitte geben Sie Ihren Namen ein.';
-                break;
-            case 'email':
-                errorMessage = 'Bitte geben Sie Ihre E-Mail-Adresse ein.';
-                break;
-            case 'message':
-                errorMessage = 'Bitte geben Sie eine Nachricht ein.';
-                break;
-            default:
-                errorMessage = 'Dieses Feld ist erforderlich.';
-        }
-    }
+    // Fields outside the schema fall back to their HTML attributes
+    const rule = (schema && schema.fields[field.name]) || {
+        type: field.type === 'checkbox' ? 'consent' : (['email', 'tel'].includes(field.type) ? field.type : 'text'),
+        required: field.hasAttribute('required')
+    };
+    const value = getFieldValue(field);
+    const error = validateValue(rule, value, {
+        locale: getValidationLocale(),
+        values: Object.fromEntries(new FormData(field.form).entries())
+    });
     
-    // Field-specific validation for non-empty values
-    if (value && isValid) {
-        switch (fieldType) {
-            case 'email':
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    isValid = false;
-                    errorMessage = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
-                }
-                break;
-                
-            case 'tel':
-                // More flexible phone validation for international numbers
-                const phoneRegex = /^[\+]?[0-9\s\-\(\)\.]{8,}$/;
-                if (!phoneRegex.test(value)) {
-                    isValid = false;
-                    errorMessage = 'Bitte geben Sie eine gültige Telefonnummer ein.';
-                }
-                break;
-                
-            case 'text':
-                if (fieldName === 'name') {
-                    // Name should be at least 2 characters and contain only letters, spaces, hyphens
-                    const nameRegex = /^[a-zA-ZäöüÄÖÜß\s\-\.]{2,}$/;
-                    if (!nameRegex.test(value)) {
-                        isValid = false;
-                        errorMessage = 'Bitte geben Sie einen gültigen Namen ein (mindestens 2 Zeichen).';
-                    }
-                }
-                break;
-        }
-        
-        // Message length validation
-        if (field.tagName.toLowerCase() === 'textarea' && fieldName === 'message') {
-            if (value.length < 10) {
-                isValid = false;
-                errorMessage = 'Ihre Nachricht sollte mindestens 10 Zeichen lang sein.';
-            } else if (value.length > 1000) {
-                isValid = false;
-                errorMessage = 'Ihre Nachricht ist zu lang (maximal 1000 Zeichen).';
-            }
-        }
+    // Show error if invalid
+    if (error) {
+        showFieldError(field, error.message);
     }
     
-    // Show error if invalid
-    if (!isValid) {
-        field.classList.add('error', 'border-red-500');
-        
-        const errorElement = document.createElement('div');
-        errorElement.className = 'error-message text-red-600 text-sm mt-2 flex items-center';
-        errorElement.innerHTML = `
-            <svg class="w-4 h-4 mr-1 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
-                <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clip-rule="evenodd"/>
-            </svg>
-            <span>${errorMessage}</span>
-        `;
-        
-        field.parentNode.appendChild(errorElement);
+    return !error;
+}
+
+/**
+ * Value of a field in the shape the shared validation rules expect
+ */
+function getFieldValue(field) {
+    if (field.type === 'checkbox') return field.checked;
+    if (field.type === 'file') {
+        return Array.from(field.files || []).map(file => ({ name: file.name, size: file.size, type: file.type }));
     }
+    return field.value;
+}
+
+/**
+ * Mark a field as invalid and show the message below it
+ */
+function showFieldError(field, errorMessage) {
+    field.classList.add('error', 'border-red-500');
+    
+    const errorElement = document.createElement('div');
+    errorElement.className = 'error-message text-red-600 text-sm mt-2 flex items-center';
+    errorElement.innerHTML = `
+        <svg class="w-4 h-4 mr-1 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+            <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clip-rule="evenodd"/>
+        </svg>
+        <span></span>
+    `;
+    errorElement.querySelector('span').textContent = errorMessage;
     
-    return isValid;
+    field.parentNode.appendChild(errorElement);
 }
 /**
 
@@ -1248,29 +1463,37 @@ function initCharterInquiry() {
     
     // Handle charter form submission
     if (charterForm) {
+        charterForm.dataset.schema = charterForm.dataset.schema || 'charter';
+        attachFormToken(charterForm);
+        attachConsentVersion(charterForm);
+        const draft = initFormDraft(charterForm, { exclude: getDraftExcludedFields('charter'), isPending: isQueued });
+        
+        charterForm.querySelectorAll('input, textarea, select').forEach(field => {
+            field.addEventListener('blur', function() {
+                validateField(this);
+            });
+        });
+        
+        // Re-check passengers when the aircraft (and so the seat count) changes
+        if (aircraftSelect) {
+            aircraftSelect.addEventListener('change', function() {
+                const passengersField = charterForm.querySelector('[name="passengers"]');
+                if (passengersField && passengersField.value) {
+                    validateField(passengersField);
+                }
+            });
+        }
+        
         charterForm.addEventListener('submit', function(e) {
             e.preventDefault();
             
-            // Get form data
-            const formData = new FormData(this);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Basic validation
-            if (!data.name || !data.email) {
-                showNotification('Bitte füllen Sie alle Pflichtfelder aus.', 'error');
-                return;
-            }
-            
-            // Email validation
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(data.email)) {
-                showNotification('Bitte geben Sie eine gültige E-Mail-Adresse ein.', 'error');
-                return;
-            }
-            
-            // Privacy checkbox validation
-            if (!data.privacy) {
-                showNotification('Bitte stimmen Sie der Datenschutzerklärung zu.', 'error');
+            // Validate against the charter schema shared with the server
+            if (!validateForm(this)) {
+                const firstError = this.querySelector('.error');
+                if (firstError) {
+                    firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+                showNotification('Bitte überprüfen Sie Ihre Eingaben.', 'error');
                 return;
             }
             
@@ -1286,31 +1509,37 @@ function initCharterInquiry() {
             `;
             submitButton.disabled = true;
             
-            // Simulate form submission (replace with actual endpoint)
-            setTimeout(() => {
-                // Reset button
-                submitButton.innerHTML = originalText;
-                submitButton.disabled = false;
-                
-                // Show success message
-                showNotification('Ihre Charter-Anfrage wurde erfolgreich gesendet. Wir melden uns in Kürze bei Ihnen!', 'success');
-                
-                // Reset form
-                this.reset();
-                
-                // Log for analytics (replace with actual tracking)
-                console.log('Charter inquiry submitted:', data);
-                
-                // Send to analytics if available
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'charter_inquiry', {
-                        'aircraft': data.aircraft,
-                        'passengers': data.passengers,
-                        'departure': data.departure,
-                        'destination': data.destination
-                    });
-                }
-            }, 2000);
+            submitFormOrQueue(charterForm, {
+                endpoint: '/api/charter-enquiry',
+                formType: 'charter',
+                onSuccess: detail => announceLeadSubmitted(charterForm, 'charter', detail)
+            })
+                .then(outcome => {
+                    const { ok, aborted, queued, submission, result } = outcome;
+                    if (aborted) return;
+                    if (queued) {
+                        showNotification(getQueuedMessage(outcome), 'info');
+                        draft.keepUntilDelivered(submission.id);
+                        charterForm.reset();
+                        resetIdempotencyKey(charterForm);
+                        return;
+                    }
+                    if (!ok) {
+                        // Show the server's field messages next to the inputs
+                        showServerFieldErrors(charterForm, result);
+                        showNotification(result.error || 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.', 'error');
+                        return;
+                    }
+                    
+                    showNotification(result.message || 'Ihre Charter-Anfrage wurde erfolgreich gesendet. Wir melden uns in Kürze bei Ihnen!', 'success');
+                    charterForm.reset();
+                    resetIdempotencyKey(charterForm);
+                    draft.clear();
+                })
+                .finally(() => {
+                    submitButton.innerHTML = originalText;
+                    submitButton.disabled = false;
+                });
         });
     }
 }
@@ -0,0 +1,217 @@
+/**
+ * Offline queue for form submissions
+ * Submissions that fail because the visitor is offline, the server is down,
+ * rate limiting applies (429) or the same key is still being processed (409)
+ * are kept in IndexedDB, files included, and sent again once they are due: on
+ * the `online` event, on a timer or on the next visit. A server `Retry-After`
+ * is honoured, other failures back off exponentially. Each entry keeps the
+ * idempotency key of its form session, so a retry that races the original
+ * request (or another tab) returns the original lead instead of creating a
+ * second one.
+ */
+
+import { FORM_ADAPTERS, isRetryable, submitForm } from './form-adapters.js';
+
+const DB_NAME = 'flugschule-forms';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+// Entries that could not be delivered for this long are given up. Matches the
+// server's IDEMPOTENCY_TTL_HOURS default: a later retry could create a second lead.
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Backoff between retries without a `Retry-After`, doubled per attempt
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+
+const EXPIRED_ERROR = 'Ihre gespeicherte Anfrage konnte nicht innerhalb von 24 Stunden gesendet werden. Bitte füllen Sie das Formular erneut aus.';
+
+let flushing = null;
+let flushTimer = null;
+let queueCallbacks = {};
+
+/**
+ * Send `form` like submitForm; when that fails with a retryable outcome, the
+ * submission is queued and the outcome comes back with `queued: true`.
+ * Forms opt out with `data-offline-queue="false"`.
+ * @param {HTMLFormElement} form
+ * @param {Object} [options] - See submitForm
+ */
+export function submitFormOrQueue(form, options) {
+  return submitForm(form, options).then(outcome => {
+    if (!isRetryable(outcome) || outcome.submission.adapter === 'mailto' || form.dataset.offlineQueue === 'false') {
+      return outcome;
+    }
+    return queueSubmission(outcome.submission, outcome)
+      .then(entry => {
+        scheduleFlush(entry.retryAt);
+        return { ...outcome, queued: true, retryAt: entry.retryAt };
+      })
+      // Without IndexedDB the form shows the failure as it is
+      .catch(() => outcome);
+  });
+}
+
+/**
+ * Whether the submission with this id is still waiting in the outbox.
+ * Resolves with false where IndexedDB is not available.
+ * @param {string} id - The submission's idempotency key
+ * @returns {Promise<boolean>}
+ */
+export function isQueued(id) {
+  return withStore('readonly', store => store.count(id))
+    .then(count => count > 0)
+    .catch(() => false);
+}
+
+/**
+ * Store a submission (see createSubmission) for a later retry; `outcome` is
+ * the failed attempt and decides when the entry is due. Resolves with the entry.
+ */
+export function queueSubmission(submission, outcome = { status: 0, retryAfter: null }) {
+  const entry = { ...submission, attempts: 0, lastStatus: outcome.status, retryAt: getRetryAt(outcome, 0) };
+  return withStore('readwrite', store => store.put(entry)).then(() => entry);
+}
+
+/**
+ * Send every due submission, oldest first. Delivered, rejected and expired
+ * entries are removed; the rest stay queued with their next retry time. Stops
+ * at the first failure other than a 409, since the others would fail the same
+ * way. Concurrent calls share one run.
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onDelivered] - `(submission, outcome)`
+ * @param {Function} [callbacks.onRejected] - `(submission, outcome)`, e.g. failed validation or expiry
+ * @param {boolean} [callbacks.online] - The connection just came back: entries
+ *   that failed offline are due now, rate-limited ones still wait
+ * @returns {Promise<number|null>} When the next queued entry falls due
+ */
+export function flushQueue(callbacks = {}) {
+  if (!flushing) {
+    flushing = sendQueued(callbacks).finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+/**
+ * Retry queued submissions now and whenever the browser comes back online.
+ * @param {Object} [callbacks] - See flushQueue
+ */
+export function initOfflineQueue(callbacks = {}) {
+  if (!('indexedDB' in window)) return;
+  queueCallbacks = callbacks;
+
+  window.addEventListener('online', () => flush({ online: true }));
+  if (navigator.onLine !== false) {
+    flush();
+  }
+}
+
+/**
+ * Flush with the callbacks from initOfflineQueue, then wait for the next entry
+ * to fall due. Failures leave the entries queued for the next visit.
+ */
+function flush(options) {
+  return flushQueue({ ...queueCallbacks, ...options })
+    .then(scheduleFlush)
+    .catch(() => {});
+}
+
+function scheduleFlush(retryAt) {
+  if (retryAt == null || navigator.onLine === false) return;
+
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(() => flush(), Math.max(0, retryAt - Date.now()));
+}
+
+/**
+ * When a failed attempt may be repeated: after the server's `Retry-After`,
+ * otherwise with an exponential backoff
+ */
+function getRetryAt(outcome, attempts) {
+  if (outcome.retryAfter != null) {
+    return Date.now() + outcome.retryAfter * 1000;
+  }
+  return Date.now() + Math.min(RETRY_BASE_MS * 2 ** attempts, RETRY_MAX_MS);
+}
+
+async function sendQueued({ onDelivered, onRejected, online = false }) {
+  const queued = await withStore('readonly', store => store.getAll());
+  queued.sort((a, b) => a.createdAt - b.createdAt);
+
+  const pending = [];
+  for (const submission of queued) {
+    if (Date.now() - submission.createdAt > MAX_AGE_MS) {
+      await withStore('readwrite', store => store.delete(submission.id));
+      if (onRejected) {
+        onRejected(submission, { ok: false, status: 0, aborted: false, result: { error: EXPIRED_ERROR }, retryAfter: null });
+      }
+      continue;
+    }
+
+    // Entries queued before retry times were recorded are due right away
+    const retryAt = submission.retryAt || 0;
+    if (retryAt > Date.now() && !(online && submission.lastStatus === 0)) {
+      pending.push(retryAt);
+      continue;
+    }
+
+    const outcome = await FORM_ADAPTERS[submission.adapter](submission);
+    if (outcome.aborted) break;
+
+    if (isRetryable(outcome)) {
+      const attempts = submission.attempts + 1;
+      const nextRetryAt = getRetryAt(outcome, attempts);
+      await withStore('readwrite', store => store.put({ ...submission, attempts, lastStatus: outcome.status, retryAt: nextRetryAt }));
+      pending.push(nextRetryAt);
+      // A 409 only concerns this entry's key; anything else would fail the
+      // rest the same way, so they wait for this entry's next attempt
+      if (outcome.status === 409) continue;
+      break;
+    }
+
+    await withStore('readwrite', store => store.delete(submission.id));
+    if (outcome.ok) {
+      if (onDelivered) onDelivered(submission, outcome);
+    } else if (onRejected) {
+      onRejected(submission, outcome);
+    }
+  }
+
+  return pending.length ? Math.max(Math.min(...pending), Date.now()) : null;
+}
+
+/**
+ * Run one request against the outbox store in its own transaction; resolves
+ * with the request's result once the transaction has committed.
+ */
+function withStore(mode, action) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+}
+
+function openDatabase() {
+  if (!('indexedDB' in window)) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Attachment checks: the type comes from the file content, not the name or
+ * the browser's claim, the size limits per file and in total, and the
+ * command scanner's exit codes (0 clean, 1 infected, others an error).
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CONTACT_FORM_SCHEMA } from '../lib/forms/schema.js';
+import {
+  checkAttachments,
+  createCommandScanner,
+  sanitizeFilename,
+  sniffFileType
+} from '../lib/leads/attachments.js';
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const EXE = Buffer.from('MZ\x90\x00\x03\x00\x00\x00');
+
+// Scanner commands for `node -e`, without spaces since the command is split on them
+const scannerExiting = (code, output = '') =>
+  createCommandScanner(`${process.execPath} -e process.stdout.write('${output}');process.exit(${code})`);
+
+function upload(filename, data, contentType = 'application/pdf') {
+  return { field: 'attachments', filename, contentType, data };
+}
+
+async function check(files, options) {
+  const ctx = { fields: { attachments: 'ignored' }, files };
+  await checkAttachments(CONTACT_FORM_SCHEMA, options)(ctx);
+  return ctx;
+}
+
+describe('sniffFileType', () => {
+  it('detects PDF, JPEG and PNG by their first bytes', () => {
+    assert.deepEqual(sniffFileType(PDF), { type: 'application/pdf', extension: 'pdf' });
+    assert.deepEqual(sniffFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), { type: 'image/jpeg', extension: 'jpg' });
+    assert.deepEqual(sniffFileType(PNG), { type: 'image/png', extension: 'png' });
+    assert.equal(sniffFileType(EXE), null);
+    assert.equal(sniffFileType(Buffer.alloc(0)), null);
+  });
+});
+
+describe('sanitizeFilename', () => {
+  it('keeps the base name without path or control characters', () => {
+    assert.equal(sanitizeFilename('../../etc/passwd'), 'passwd');
+    assert.equal(sanitizeFilename('Flugtauglichkeit\r\nBcc: x.pdf'), 'Flugtauglichkeit__Bcc_ x.pdf');
+    assert.equal(sanitizeFilename('.hidden'), 'hidden');
+    assert.equal(sanitizeFilename(''), 'datei');
+  });
+});
+
+describe('checkAttachments', () => {
+  it('accepts files by content and drops the text field of the same name', async () => {
+    const ctx = await check([upload('medical.pdf', PDF)]);
+
+    assert.equal(ctx.fields.attachments, undefined);
+    assert.equal(ctx.attachments.length, 1);
+    assert.equal(ctx.attachments[0].type, 'application/pdf');
+    assert.equal(ctx.attachments[0].scan.status, 'unscanned');
+  });
+
+  it('rejects a program renamed to .pdf', async () => {
+    await assert.rejects(check([upload('licence.pdf', EXE)]), error => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.details.fieldErrors.attachments, 'Erlaubt sind nur PDF-, JPEG- oder PNG-Dateien.');
+      return true;
+    });
+  });
+
+  it('takes the type from the content when name and claim disagree', async () => {
+    const ctx = await check([upload('scan.pdf', PNG, 'application/pdf')]);
+
+    assert.equal(ctx.attachments[0].type, 'image/png');
+    assert.equal(ctx.attachments[0].extension, 'png');
+  });
+
+  it('rejects more than 4 MB in total', async () => {
+    const half = Buffer.concat([PDF, Buffer.alloc(2.5 * 1024 * 1024)]);
+
+    await assert.rejects(check([upload('a.pdf', half), upload('b.pdf', half)]), error => {
+      assert.equal(error.details.fieldErrors.attachments, 'Alle Dateien zusammen dürfen höchstens 4 MB groß sein.');
+      return true;
+    });
+  });
+
+  it('rejects more than three files', async () => {
+    const files = Array.from({ length: 4 }, (item, index) => upload(`${index}.pdf`, PDF));
+    await assert.rejects(check(files), { statusCode: 400, message: 'Bitte laden Sie höchstens 3 Dateien hoch.' });
+  });
+});
+
+describe('createCommandScanner', () => {
+  it('accepts a file the scanner passes with exit code 0', async () => {
+    const ctx = await check([upload('medical.pdf', PDF)], { scanners: [scannerExiting(0)] });
+    assert.equal(ctx.attachments[0].scan.status, 'clean');
+  });
+
+  it('rejects a file the scanner flags with exit code 1', async () => {
+    const scanner = scannerExiting(1, 'stream:Eicar-Signature-FOUND');
+
+    assert.deepEqual(await scanner({ data: PDF }), { status: 'infected', detail: 'stream:Eicar-Signature-FOUND' });
+    await assert.rejects(check([upload('medical.pdf', PDF)], { scanners: [scanner] }), error => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.details.fieldErrors.attachments, /„medical\.pdf“ wurde als schädlich erkannt/);
+      return true;
+    });
+  });
+
+  it('keeps the file for review when the scanner fails', async () => {
+    const ctx = await check([upload('medical.pdf', PDF)], { scanners: [scannerExiting(2)] });
+
+    assert.equal(ctx.attachments[0].scan.status, 'error');
+    assert.match(ctx.attachments[0].scan.detail, /exited with 2/);
+  });
+
+  it('reports a scanner that cannot be started', async () => {
+    const result = await createCommandScanner('/nonexistent/clamdscan -')({ data: PDF });
+    assert.equal(result.status, 'error');
+  });
+});
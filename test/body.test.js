@@ -0,0 +1,89 @@
+/**
+ * Request body decoding: multipart bodies with quoted and unquoted
+ * boundaries, binary files and empty file inputs, and the errors for
+ * truncated or malformed bodies.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { decodeBody, parseMultipart } from '../lib/leads/body.js';
+
+const BOUNDARY = '----FormBoundary7MA4YWxkTrZu0gW';
+
+/**
+ * Build a multipart body from `{ name, value }` and `{ name, filename, type, data }` parts.
+ */
+function multipart(parts, boundary = BOUNDARY) {
+  const chunks = [];
+  for (const part of parts) {
+    const filename = part.filename !== undefined ? `; filename="${part.filename}"` : '';
+    const type = part.type ? `\r\nContent-Type: ${part.type}` : '';
+    chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"${filename}${type}\r\n\r\n`));
+    chunks.push(Buffer.isBuffer(part.data) ? part.data : Buffer.from(part.value ?? part.data ?? ''));
+    chunks.push(Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+describe('parseMultipart', () => {
+  it('splits text fields and files', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x0d, 0x0a, 0x2d, 0x2d]);
+    const body = multipart([
+      { name: 'name', value: 'Jörg Müller' },
+      { name: 'message', value: 'Zeile 1\r\nZeile 2' },
+      { name: 'attachments', filename: 'lizenz.png', type: 'image/png', data: png }
+    ]);
+
+    const { fields, files } = parseMultipart(body, BOUNDARY);
+
+    assert.deepEqual(fields, { name: 'Jörg Müller', message: 'Zeile 1\r\nZeile 2' });
+    assert.equal(files.length, 1);
+    assert.equal(files[0].field, 'attachments');
+    assert.equal(files[0].filename, 'lizenz.png');
+    assert.equal(files[0].contentType, 'image/png');
+    assert.deepEqual(files[0].data, png);
+  });
+
+  it('skips a file input left empty', () => {
+    const body = multipart([
+      { name: 'name', value: 'Max' },
+      { name: 'attachments', filename: '', type: 'application/octet-stream', data: '' }
+    ]);
+
+    assert.deepEqual(parseMultipart(body, BOUNDARY).files, []);
+  });
+
+  it('reads quoted and unquoted boundaries from the content type', () => {
+    const body = multipart([{ name: 'name', value: 'Max' }], 'simple-boundary');
+
+    assert.deepEqual(decodeBody(body, { 'content-type': 'multipart/form-data; boundary=simple-boundary' }).fields, { name: 'Max' });
+    assert.deepEqual(decodeBody(body, { 'content-type': 'multipart/form-data; boundary="simple-boundary"' }).fields, { name: 'Max' });
+    assert.throws(() => decodeBody(body, { 'content-type': 'multipart/form-data' }), /without boundary/);
+  });
+
+  it('rejects a body with a different boundary', () => {
+    const body = multipart([{ name: 'name', value: 'Max' }]);
+    assert.throws(() => parseMultipart(body, 'other-boundary'), /boundary not found/);
+  });
+
+  it('rejects a truncated body', () => {
+    const body = multipart([
+      { name: 'name', value: 'Max' },
+      { name: 'attachments', filename: 'a.pdf', type: 'application/pdf', data: '%PDF-1.7 content' }
+    ]);
+    const truncated = body.subarray(0, body.indexOf('%PDF') + 6);
+
+    assert.throws(() => parseMultipart(truncated, BOUNDARY), /Unterminated multipart body/);
+  });
+
+  it('rejects a part without headers', () => {
+    const body = Buffer.from(`--${BOUNDARY}\r\nno headers here\r\n--${BOUNDARY}--\r\n`);
+    assert.throws(() => parseMultipart(body, BOUNDARY), /without headers/);
+  });
+
+  it('limits the number of parts', () => {
+    const parts = Array.from({ length: 51 }, (item, index) => ({ name: `field${index}`, value: 'x' }));
+    assert.throws(() => parseMultipart(multipart(parts), BOUNDARY), /Too many multipart parts/);
+  });
+});
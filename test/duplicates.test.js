@@ -0,0 +1,96 @@
+/**
+ * Duplicate merging: email matches merge across forms, a shared phone number
+ * only merges when both addresses reach the same mailbox, and a merged
+ * submission never fills the lead with another person's data.
+ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { findDuplicate, normalizeEmail, normalizePhone } from '../lib/leads/duplicates.js';
+import { createLeadStore, createMemoryBackend } from '../lib/leads/store/index.js';
+
+const WINDOW_DAYS = 30;
+
+describe('findDuplicate', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createLeadStore(createMemoryBackend());
+    await store.create({ id: 'lead_1700000000000_maxowner1', formType: 'contact', email: 'max@example.com', phone: '+49 171 6502219' });
+    await store.create({ id: 'lead_1700000000000_anagmail1', formType: 'contact', email: 'ana.garcia@gmail.com', phone: '+34 600 111 222' });
+  });
+
+  it('merges the same email address', async () => {
+    const match = await findDuplicate(store, { formType: 'contact', email: 'MAX@example.com' }, WINDOW_DAYS);
+    assert.equal(match?.id, 'lead_1700000000000_maxowner1');
+  });
+
+  it('merges a charter enquiry into the contact lead of the same email address', async () => {
+    const match = await findDuplicate(store, { formType: 'charter', email: 'max@example.com' }, WINDOW_DAYS);
+    assert.equal(match?.id, 'lead_1700000000000_maxowner1');
+  });
+
+  it('does not merge a shared phone number with a different email address', async () => {
+    const lead = { formType: 'contact', email: 'erika@example.com', phone: '0171 6502219' };
+    assert.equal(await findDuplicate(store, lead, WINDOW_DAYS), null);
+  });
+
+  it('merges a differently spelled address of the same mailbox when the phone number matches', async () => {
+    const lead = { formType: 'charter', email: 'AnaGarcia+charter@googlemail.com', phone: '600111222' };
+    assert.equal((await findDuplicate(store, lead, WINDOW_DAYS))?.id, 'lead_1700000000000_anagmail1');
+
+    const otherPhone = { formType: 'charter', email: 'anagarcia+charter@gmail.com', phone: '600999888' };
+    assert.equal(await findDuplicate(store, otherPhone, WINDOW_DAYS), null);
+  });
+
+  it('never merges on a phone number alone', async () => {
+    assert.equal(await findDuplicate(store, { formType: 'contact', phone: '0049 171 6502219' }, WINDOW_DAYS), null);
+  });
+
+  it('normalizes email addresses to their mailbox', () => {
+    assert.equal(normalizeEmail(' Max.Muster+kurs@GMail.com '), 'maxmuster@gmail.com');
+    assert.equal(normalizeEmail('max.muster+kurs@example.com'), 'max.muster@example.com');
+    assert.equal(normalizeEmail('not-an-email'), null);
+  });
+
+  it('compares phone numbers by their last nine digits', () => {
+    assert.equal(normalizePhone('+49 171 6502219'), normalizePhone('0171 6502219'));
+    assert.equal(normalizePhone('12345'), null);
+  });
+});
+
+describe('addInteraction', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createLeadStore(createMemoryBackend());
+    await store.create({ id: 'lead_1700000000000_maxowner1', formType: 'contact', name: 'Max Mustermann', email: 'max@example.com' });
+  });
+
+  it('fills in missing fields from the same person', async () => {
+    const lead = await store.addInteraction('lead_1700000000000_maxowner1', {
+      at: '2026-01-12T09:00:00.000Z',
+      formType: 'contact',
+      source: 'direct',
+      fields: { name: 'Max M.', email: 'max@example.com', phone: '+49 171 6502219' }
+    });
+
+    assert.equal(lead.name, 'Max Mustermann');
+    assert.equal(lead.phone, '+49 171 6502219');
+  });
+
+  it('keeps a submission from another email address in its interaction only', async () => {
+    const lead = await store.addInteraction('lead_1700000000000_maxowner1', {
+      at: '2026-01-12T09:00:00.000Z',
+      formType: 'contact',
+      source: 'direct',
+      fields: { name: 'Erika Muster', email: 'erika@example.com', phone: '+49 171 6502219', message: 'Frage zum PPL' }
+    });
+
+    assert.equal(lead.email, 'max@example.com');
+    assert.equal(lead.phone, undefined);
+    assert.equal(lead.message, undefined);
+    assert.equal(lead.interactions.at(-1).fields.email, 'erika@example.com');
+    assert.equal(lead.interactions.at(-1).fields.message, 'Frage zum PPL');
+  });
+});
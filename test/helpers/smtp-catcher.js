@@ -0,0 +1,95 @@
+/**
+ * Minimal SMTP catcher for transport tests
+ * Speaks just enough SMTP (EHLO, MAIL, RCPT, DATA, RSET, QUIT) for nodemailer
+ * without STARTTLS or AUTH, and keeps every accepted message in `messages`.
+ * `failNext(count)` makes the next `count` transactions fail with a 451.
+ */
+
+import net from 'node:net';
+
+export async function startSmtpCatcher() {
+  const messages = [];
+  const sockets = new Set();
+  let failures = 0;
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let envelope = null;
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    function handle(line) {
+      if (data !== null) {
+        if (line !== '.') {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+          return;
+        }
+        messages.push({ ...envelope, raw: data.join('\r\n') });
+        data = null;
+        envelope = null;
+        reply('250 OK: queued');
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'MAIL') {
+        if (failures > 0) {
+          failures--;
+          reply('451 Temporary failure, try again later');
+          return;
+        }
+        envelope = { from: line.match(/<(.*)>/)?.[1], to: [] };
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.match(/<(.*)>/)?.[1]);
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = null;
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(line);
+      }
+    });
+
+    reply('220 localhost SMTP catcher');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    messages,
+
+    failNext(count) {
+      failures = count;
+    },
+
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * File snapshots for node:test
+ * Snapshots live in test/__snapshots__/<name> and are compared byte for byte.
+ * A missing snapshot is written on the first run; with `CI` set it fails
+ * instead, so CI never records a snapshot nobody reviewed. Run with
+ * `UPDATE_SNAPSHOTS=1` to rewrite snapshots after an intended change.
+ */
+
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '__snapshots__');
+
+/**
+ * @param {string} name - File name below test/__snapshots__, e.g. `mail/new-lead.html`
+ * @param {string} actual
+ */
+export function assertSnapshot(name, actual) {
+  const file = path.join(SNAPSHOT_DIR, name);
+
+  if (process.env.UPDATE_SNAPSHOTS || (!existsSync(file) && !process.env.CI)) {
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(file, actual);
+    return;
+  }
+
+  assert.ok(existsSync(file), `Missing snapshot ${name}; run the tests without CI to record it`);
+  assert.equal(actual, readFileSync(file, 'utf8'), `Snapshot ${name} does not match`);
+}
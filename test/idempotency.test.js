@@ -0,0 +1,133 @@
+/**
+ * Idempotency keys under concurrency: parallel requests with one key create
+ * one lead, a reused key with another body is rejected, a repeat of a request
+ * still in progress gets a 409 and abandoned claims expire.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import {
+  createFileIdempotencyBackend,
+  createMemoryIdempotencyBackend,
+  withIdempotency
+} from '../lib/leads/idempotency.js';
+
+const PENDING_TTL_MS = 60 * 1000;
+
+function request(key, fields = { name: 'Max', email: 'max@example.com' }) {
+  return {
+    headers: { 'content-type': 'application/json', 'idempotency-key': key },
+    body: JSON.stringify(fields)
+  };
+}
+
+/**
+ * Pipeline whose responses are held back until `finish()` is called.
+ */
+function createSlowPipeline() {
+  let calls = 0;
+  let finish;
+  const finished = new Promise(resolve => {
+    finish = resolve;
+  });
+
+  return {
+    get calls() {
+      return calls;
+    },
+    finish,
+    async process() {
+      calls++;
+      const leadId = `lead_${calls}`;
+      await finished;
+      return { statusCode: 200, headers: {}, body: { success: true, leadId } };
+    }
+  };
+}
+
+function describeBackend(name, createBackend) {
+  describe(`${name} backend`, () => {
+    let backend;
+
+    before(async () => {
+      backend = await createBackend();
+    });
+
+    it('processes parallel requests with one key once', async () => {
+      const pipeline = createSlowPipeline();
+      const idempotent = withIdempotency(pipeline, { backend, scope: 'contact', pollMs: 5 });
+
+      const responses = Promise.all([
+        idempotent.process(request('parallel-key-1')),
+        idempotent.process(request('parallel-key-1')),
+        idempotent.process(request('parallel-key-1'))
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      pipeline.finish();
+
+      const [first, ...repeats] = await responses;
+      assert.equal(pipeline.calls, 1);
+      assert.equal(first.body.leadId, 'lead_1');
+      for (const repeat of repeats) {
+        assert.equal(repeat.body.leadId, 'lead_1');
+        assert.equal(repeat.headers['Idempotent-Replayed'], 'true');
+      }
+    });
+
+    it('rejects a key reused for a different submission with 422', async () => {
+      const pipeline = createSlowPipeline();
+      pipeline.finish();
+      const idempotent = withIdempotency(pipeline, { backend, scope: 'contact' });
+
+      await idempotent.process(request('mismatch-key-1'));
+      await assert.rejects(
+        idempotent.process(request('mismatch-key-1', { name: 'Erika', email: 'erika@example.com' })),
+        { statusCode: 422 }
+      );
+      assert.equal(pipeline.calls, 1);
+    });
+
+    it('answers 409 while the first request is still running', async () => {
+      const pipeline = createSlowPipeline();
+      const idempotent = withIdempotency(pipeline, { backend, scope: 'contact', waitMs: 30, pollMs: 5 });
+
+      const first = idempotent.process(request('pending-key-1'));
+      await assert.rejects(idempotent.process(request('pending-key-1')), error => {
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.headers['Retry-After'], '5');
+        return true;
+      });
+
+      pipeline.finish();
+      assert.equal((await first).body.leadId, 'lead_1');
+      assert.equal(pipeline.calls, 1);
+    });
+
+    it('lets a pending claim expire after the pending TTL', async () => {
+      const now = Date.now();
+      assert.equal(await backend.claim('abandoned', 'fingerprint', now), null);
+
+      const blocked = await backend.claim('abandoned', 'fingerprint', now + PENDING_TTL_MS - 1);
+      assert.equal(blocked.state, 'pending');
+
+      assert.equal(await backend.claim('abandoned', 'fingerprint', now + PENDING_TTL_MS), null);
+    });
+  });
+}
+
+describeBackend('memory', () => createMemoryIdempotencyBackend());
+
+describe('file storage', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'idempotency-test-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  describeBackend('file', () => createFileIdempotencyBackend({ file: path.join(dir, 'idempotency-keys.json') }));
+});
@@ -0,0 +1,165 @@
+/**
+ * Lead pipeline: a filled honeypot is rejected straight after parsing, before
+ * validation, the consent record and the email rate limit; values that are
+ * not text are rejected; follow-up submissions from the same person are
+ * merged into one lead across forms.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createCharterPipeline, createContactPipeline, loadConfig } from '../lib/leads/index.js';
+import { createLeadStore, createMemoryBackend } from '../lib/leads/store/index.js';
+
+function createCountingLimiter() {
+  const keys = [];
+  return {
+    keys,
+    async hit(key) {
+      keys.push(key);
+      return { allowed: true, retryAfter: 0 };
+    }
+  };
+}
+
+function createPipeline(createFormPipeline = createContactPipeline, { store } = {}) {
+  const rateLimiters = { ip: createCountingLimiter(), email: createCountingLimiter() };
+  const messages = [];
+  const pipeline = createFormPipeline({
+    config: loadConfig({ LEAD_STORE: 'memory', LOG_LEVEL: 'silent' }),
+    store,
+    rateLimiters,
+    mailTransport: {
+      name: 'test',
+      async send(message) {
+        messages.push(message);
+        return { messageId: `<${messages.length}@test>` };
+      }
+    }
+  });
+  return { pipeline, rateLimiters, messages };
+}
+
+const CONTACT = {
+  name: 'Ana García',
+  email: 'ana.garcia@gmail.com',
+  phone: '+34 600 111 222',
+  courseInterest: 'online-solo',
+  message: 'Ich interessiere mich für die PPL-Ausbildung.',
+  privacy: 'on'
+};
+
+const CHARTER = {
+  name: 'Ana García',
+  email: 'ana.garcia@gmail.com',
+  aircraft: 'socata-tb20',
+  passengers: 2,
+  departure: 'Palma (LEPA)',
+  destination: 'Ibiza (LEIB)',
+  travelDate: '2099-06-01',
+  privacy: 'on'
+};
+
+function post(fields) {
+  return {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    query: {},
+    body: JSON.stringify(fields),
+    ip: '192.0.2.1'
+  };
+}
+
+describe('honeypot', () => {
+  it('rejects a filled honeypot before validating the submission', async () => {
+    const { pipeline, rateLimiters, messages } = createPipeline();
+
+    await assert.rejects(
+      pipeline.process(post({ website: 'https://spam.example', email: 'not-an-email' })),
+      { statusCode: 400, message: 'Spam detected' }
+    );
+    assert.equal(rateLimiters.ip.keys.length, 1);
+    assert.equal(rateLimiters.email.keys.length, 0);
+    assert.equal(messages.length, 0);
+  });
+
+  it('ignores a honeypot containing only whitespace', async () => {
+    const { pipeline } = createPipeline();
+
+    await assert.rejects(
+      pipeline.process(post({ website: ' ', email: 'not-an-email' })),
+      error => {
+        assert.equal(error.message, 'Fehlende Pflichtfelder');
+        assert.ok(error.details.fieldErrors.email);
+        return true;
+      }
+    );
+  });
+});
+
+describe('validation', () => {
+  it('rejects arrays and objects in place of text', async () => {
+    const { pipeline, messages } = createPipeline();
+
+    await assert.rejects(
+      pipeline.process(post({ ...CONTACT, email: ['ana@example.com'], courseInterest: ['online-solo'], name: { first: 'Ana' } })),
+      error => {
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.message, 'Bitte überprüfen Sie Ihre Eingaben.');
+        assert.deepEqual(Object.keys(error.details.fieldErrors).sort(), ['courseInterest', 'email', 'name']);
+        assert.equal(error.details.fieldErrors.email, 'Ungültige Eingabe.');
+        return true;
+      }
+    );
+    assert.equal(messages.length, 0);
+  });
+
+  it('accepts a number where the form sends digits', async () => {
+    const { pipeline } = createPipeline(createCharterPipeline);
+    const response = await pipeline.process(post({ ...CHARTER, passengers: 3 }));
+    assert.equal(response.statusCode, 200);
+  });
+});
+
+describe('duplicate merging', () => {
+  async function submitContactThenCharter(charterFields) {
+    const store = createLeadStore(createMemoryBackend());
+    const contact = await createPipeline(createContactPipeline, { store }).pipeline.process(post(CONTACT));
+    const charter = await createPipeline(createCharterPipeline, { store }).pipeline.process(post(charterFields));
+    return { store, contact: contact.body, charter: charter.body };
+  }
+
+  it('merges a charter enquiry into the contact lead of the same email address', async () => {
+    const { store, contact, charter } = await submitContactThenCharter(CHARTER);
+
+    assert.equal(contact.merged, false);
+    assert.equal(charter.merged, true);
+    assert.equal(charter.leadId, contact.leadId);
+
+    const lead = await store.get(contact.leadId);
+    assert.equal(lead.formType, 'contact');
+    assert.equal(lead.interactions.at(-1).formType, 'charter');
+  });
+
+  it('merges a differently spelled address of the same mailbox with the same phone number', async () => {
+    const { contact, charter } = await submitContactThenCharter({
+      ...CHARTER,
+      email: 'anagarcia+charter@gmail.com',
+      phone: '600 111 222'
+    });
+
+    assert.equal(charter.merged, true);
+    assert.equal(charter.leadId, contact.leadId);
+  });
+
+  it('keeps someone else with the same phone number in a lead of their own', async () => {
+    const { contact, charter } = await submitContactThenCharter({
+      ...CHARTER,
+      name: 'Luis García',
+      email: 'luis@example.com',
+      phone: '+34 600 111 222'
+    });
+
+    assert.equal(charter.merged, false);
+    assert.notEqual(charter.leadId, contact.leadId);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Log redaction: free text is redacted, contact data hashed with an HMAC
+ * keyed by LEAD_HASH_SECRET (or redacted without one), email addresses inside
+ * messages and errors are hashed and IP addresses cut to their network.
+ */
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { createLogger, truncateIp } from '../lib/leads/logger.js';
+
+const SECRET = 'test-hash-secret';
+
+// Logger collecting its entries as parsed objects
+function createCapturingLogger(options) {
+  const entries = [];
+  const logger = createLogger({ ...options, write: (level, line) => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+}
+
+describe('logger', () => {
+  it('redacts free-text fields', () => {
+    const { logger, entries } = createCapturingLogger({ hashSecret: SECRET });
+    logger.info('Lead stored', { name: 'Max Mustermann', message: 'Hallo', leadId: 'lead_1' });
+
+    assert.equal(entries[0].name, '[redacted]');
+    assert.equal(entries[0].message, '[redacted]');
+    assert.equal(entries[0].leadId, 'lead_1');
+  });
+
+  it('hashes contact data with an HMAC of the secret', () => {
+    const { logger, entries } = createCapturingLogger({ hashSecret: SECRET });
+    logger.info('First', { email: 'Max@Example.com', phone: '+49 171 6502219' });
+    logger.info('Second', { email: 'max@example.com' });
+
+    const [first, second] = entries;
+    assert.match(first.email, /^hmac:[0-9a-f]{16}$/);
+    assert.equal(first.email, second.email);
+    assert.doesNotMatch(JSON.stringify(first), /max@example\.com|6502219/i);
+
+    const plainHash = crypto.createHash('sha256').update(':max@example.com').digest('hex').slice(0, 16);
+    assert.ok(!first.email.includes(plainHash));
+
+    const { logger: other, entries: otherEntries } = createCapturingLogger({ hashSecret: 'other-secret' });
+    other.info('Other', { email: 'max@example.com' });
+    assert.notEqual(otherEntries[0].email, first.email);
+  });
+
+  it('redacts contact data instead of hashing it without a secret', () => {
+    const { logger, entries } = createCapturingLogger();
+    logger.warn('Mail to max@example.com failed', { email: 'max@example.com', phone: '+49 171 6502219' });
+
+    assert.equal(entries[0].email, '[redacted]');
+    assert.equal(entries[0].phone, '[redacted]');
+    assert.equal(entries[0].msg, 'Mail to [redacted] failed');
+  });
+
+  it('hashes email addresses inside messages and errors', () => {
+    const { logger, entries } = createCapturingLogger({ hashSecret: SECRET });
+    logger.error('Delivery failed', { error: new Error('Recipient max@example.com rejected') });
+
+    assert.match(entries[0].error.message, /^Recipient hmac:[0-9a-f]{16} rejected$/);
+    assert.doesNotMatch(entries[0].error.stack, /max@example\.com/);
+  });
+
+  it('truncates IP addresses to their network', () => {
+    const { logger, entries } = createCapturingLogger({ hashSecret: SECRET });
+    logger.info('Request handled', { ip: '203.0.113.42' });
+
+    assert.equal(entries[0].ip, '203.0.113.0');
+    assert.equal(truncateIp('::ffff:198.51.100.7'), '198.51.100.0');
+    assert.equal(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+    assert.equal(truncateIp('not-an-ip'), '[redacted]');
+  });
+
+  it('keeps the secret and bindings in child loggers', () => {
+    const { logger, entries } = createCapturingLogger({ hashSecret: SECRET, level: 'warn' });
+    logger.child({ requestId: 'req-1' }).info('Skipped');
+    logger.child({ requestId: 'req-1' }).warn('Kept', { email: 'max@example.com' });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].requestId, 'req-1');
+    assert.match(entries[0].email, /^hmac:/);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Mail templates render hostile form input harmlessly: markup is escaped in
+ * the HTML version, line breaks cannot reach the subject or headers, and
+ * `{{ … }}` in a value is printed, never expanded.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { renderTemplate, renderString } from '../lib/leads/mail/templates.js';
+import { renderOfficeNotification } from '../lib/leads/mail/notification.js';
+import { createFileTransport } from '../lib/leads/mail/transports.js';
+import { assertSnapshot } from './helpers/snapshot.js';
+
+const HOSTILE_LEAD = {
+  id: 'lead_1700000000000_hostile1',
+  formType: 'contact',
+  timestamp: '2026-01-15T09:30:00.000Z',
+  source: 'https://example.com/"><script>alert(1)</script>',
+  name: '<script>alert("name")</script>\r\nBcc: victim@example.com',
+  email: 'max@example.com',
+  phone: '{{ lead.email }}',
+  courseInterest: 'online-solo',
+  preferredContact: '{{> partials/footer }}',
+  message: '<img src=x onerror=alert(1)>\nZeile zwei & "Anführungszeichen" \'einfach\'\n{{#each leads as lead}}{{ lead.id }}{{/each}}'
+};
+
+const HOSTILE_CHARTER = {
+  ...HOSTILE_LEAD,
+  id: 'lead_1700000000000_hostile2',
+  formType: 'charter',
+  aircraft: '<b>unknown</b>',
+  passengers: 2,
+  departure: 'Palma\r\nX-Injected: yes',
+  destination: '<a href="javascript:alert(1)">Ibiza</a>',
+  travelDate: '2026-06-01'
+};
+
+function assertNoRawMarkup(html) {
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /<img/i);
+  assert.doesNotMatch(html, /<a href="javascript:/i);
+  assert.doesNotMatch(html, /<b>unknown/);
+}
+
+describe('office notification', () => {
+  it('escapes a hostile contact lead', async () => {
+    const { subject, html, text } = await renderOfficeNotification(HOSTILE_LEAD, { siteUrl: 'https://example.com' });
+
+    assertNoRawMarkup(html);
+    assert.doesNotMatch(subject, /[\r\n]/);
+    assertSnapshot('mail/new-lead.subject.txt', subject);
+    assertSnapshot('mail/new-lead.html', html);
+    assertSnapshot('mail/new-lead.txt', text);
+  });
+
+  it('escapes a hostile charter enquiry', async () => {
+    const { subject, html, text } = await renderOfficeNotification(HOSTILE_CHARTER, { siteUrl: 'https://example.com' });
+
+    assertNoRawMarkup(html);
+    assert.doesNotMatch(subject, /[\r\n]/);
+    assertSnapshot('mail/new-charter.subject.txt', subject);
+    assertSnapshot('mail/new-charter.html', html);
+    assertSnapshot('mail/new-charter.txt', text);
+  });
+
+  it('escapes the latest interaction of a merged lead', async () => {
+    const lead = {
+      ...HOSTILE_LEAD,
+      interactions: [
+        { at: HOSTILE_LEAD.timestamp, formType: 'contact', source: 'direct', fields: { message: 'Erste Anfrage' } },
+        { at: '2026-01-16T10:00:00.000Z', formType: 'contact', source: 'direct', fields: { message: HOSTILE_LEAD.message } }
+      ]
+    };
+    const { subject, html, text } = await renderOfficeNotification(lead, { merged: true });
+
+    assertNoRawMarkup(html);
+    assert.doesNotMatch(subject, /[\r\n]/);
+    assertSnapshot('mail/lead-interaction.html', html);
+    assertSnapshot('mail/lead-interaction.txt', text);
+  });
+});
+
+describe('applicant confirmation', () => {
+  it('escapes the applicant name', async () => {
+    const { subject, html, text } = await renderTemplate('applicant/online-solo', {
+      name: HOSTILE_LEAD.name,
+      leadId: HOSTILE_LEAD.id,
+      officeEmail: 'contact@flightservice365.com',
+      phoneMallorca: '+34 971 000 000',
+      phoneMallorcaLink: '+34971000000',
+      phoneGermany: '+49 89 000 000',
+      phoneGermanyLink: '+4989000000'
+    });
+
+    assertNoRawMarkup(html);
+    assert.doesNotMatch(subject, /[\r\n]/);
+    assertSnapshot('mail/applicant-online-solo.html', html);
+    assertSnapshot('mail/applicant-online-solo.txt', text);
+  });
+});
+
+describe('renderString', () => {
+  it('escapes every HTML special character', async () => {
+    const html = await renderString('<p title="{{ value }}">{{ value }}</p>', { value: `<>&"'` });
+    assert.equal(html, '<p title="&lt;&gt;&amp;&quot;&#39;">&lt;&gt;&amp;&quot;&#39;</p>');
+  });
+
+  it('leaves text output unescaped', async () => {
+    const text = await renderString('{{ value }}', { value: '<b>&</b>' }, { mode: 'text' });
+    assert.equal(text, '<b>&</b>');
+  });
+
+  it('prints template syntax inside values literally', async () => {
+    const data = { value: '{{ secret }} {{> partials/footer }} {{#each items as i}}x{{/each}}', secret: 'geheim' };
+    const html = await renderString('{{ value }}', data);
+    assert.equal(html, '{{ secret }} {{&gt; partials/footer }} {{#each items as i}}x{{/each}}');
+  });
+
+  it('adds line breaks only after escaping', async () => {
+    const html = await renderString('{{ value | nl2br }}', { value: '<br>\nzwei' });
+    assert.equal(html, '&lt;br&gt;<br>\nzwei');
+  });
+
+  it('does not read inherited properties', async () => {
+    const html = await renderString('{{ value.constructor }}|{{ value.__proto__ }}', { value: {} });
+    assert.equal(html, '|');
+  });
+
+  it('rejects partials outside the template directory', async () => {
+    await assert.rejects(renderString('{{> ../../../package }}', {}), /Invalid template name/);
+  });
+
+  it('rejects unknown filters', async () => {
+    await assert.rejects(renderString('{{ value | raw }}', { value: 'x' }), /Unknown template filter/);
+  });
+});
+
+describe('message headers', () => {
+  it('keeps line breaks in header values from adding headers', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'mail-test-'));
+    try {
+      const transport = createFileTransport({ dir });
+      const { subject, html, text } = await renderOfficeNotification(HOSTILE_LEAD);
+      await transport.send({
+        from: 'Flugschule Mallorca <noreply@example.com>',
+        to: 'contact@flightservice365.com',
+        replyTo: 'max@example.com\r\nBcc: victim@example.com',
+        subject,
+        html,
+        text
+      });
+
+      const [file] = await readdir(dir);
+      const message = await readFile(path.join(dir, file), 'utf8');
+      const headers = message.slice(0, message.indexOf('\n\n'));
+      assert.doesNotMatch(headers, /^Bcc:/im);
+      assert.doesNotMatch(headers, /^X-Injected:/im);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Mail delivery through the SMTP transport against a local SMTP catcher:
+ * envelope and headers, retries after temporary failures, the failure record
+ * once every attempt has been used up, and the time limits that keep a
+ * stalled server from hanging the form request.
+ */
+
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { deliverWithRetry } from '../lib/leads/mail/deliver.js';
+import { notifyOffice } from '../lib/leads/mail/notification.js';
+import { createSmtpTransport } from '../lib/leads/mail/transports.js';
+import { createLeadStore, createMemoryBackend } from '../lib/leads/store/index.js';
+import { startSmtpCatcher } from './helpers/smtp-catcher.js';
+
+const MESSAGE = {
+  from: 'Flugschule Mallorca <noreply@example.com>',
+  to: 'contact@flightservice365.com',
+  replyTo: 'max@example.com',
+  subject: 'Testnachricht',
+  text: 'Hallo'
+};
+
+function headersOf(raw) {
+  return raw.slice(0, raw.indexOf('\r\n\r\n'));
+}
+
+describe('SMTP transport', () => {
+  let catcher;
+  let transport;
+
+  before(async () => {
+    catcher = await startSmtpCatcher();
+    transport = createSmtpTransport({ host: catcher.host, port: catcher.port });
+  });
+
+  after(() => catcher.close());
+
+  beforeEach(() => {
+    catcher.messages.length = 0;
+    catcher.failNext(0);
+  });
+
+  it('hands the message to the SMTP server', async () => {
+    const delivery = await deliverWithRetry(transport, MESSAGE, { attempts: 1 });
+
+    assert.equal(delivery.status, 'sent');
+    assert.equal(delivery.transport, 'smtp');
+    assert.equal(delivery.attempts, 1);
+    assert.ok(delivery.messageId);
+
+    const [message] = catcher.messages;
+    assert.equal(message.from, 'noreply@example.com');
+    assert.deepEqual(message.to, ['contact@flightservice365.com']);
+    assert.match(headersOf(message.raw), /^Subject: Testnachricht$/m);
+    assert.match(headersOf(message.raw), /^Reply-To: max@example\.com$/m);
+  });
+
+  it('retries after a temporary failure', async () => {
+    catcher.failNext(2);
+    const delivery = await deliverWithRetry(transport, MESSAGE, { attempts: 3, baseDelayMs: 1 });
+
+    assert.equal(delivery.status, 'sent');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(catcher.messages.length, 1);
+  });
+
+  it('returns a failure record once all attempts failed', async () => {
+    catcher.failNext(3);
+    const delivery = await deliverWithRetry(transport, MESSAGE, { attempts: 3, baseDelayMs: 1 });
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.transport, 'smtp');
+    assert.equal(delivery.attempts, 3);
+    assert.match(delivery.error, /451/);
+    assert.equal(catcher.messages.length, 0);
+  });
+
+  it('records the office notification on the lead', async () => {
+    const store = createLeadStore(createMemoryBackend());
+    const lead = await store.create({
+      id: 'lead_1700000000000_smtptest',
+      formType: 'contact',
+      name: 'Max Mustermann',
+      email: 'max@example.com\r\nBcc: victim@example.com',
+      message: 'Hallo'
+    });
+    const config = {
+      siteUrl: 'https://example.com',
+      officeEmail: 'office@example.com',
+      mail: { from: 'Flugschule Mallorca <noreply@example.com>', attempts: 1 }
+    };
+
+    await notifyOffice({ transport, store, config })(lead, {});
+
+    const { deliveries } = await store.get(lead.id);
+    assert.equal(deliveries[0].type, 'office-notification');
+    assert.equal(deliveries[0].status, 'sent');
+
+    const [message] = catcher.messages;
+    assert.deepEqual(message.to, ['office@example.com']);
+    assert.doesNotMatch(headersOf(message.raw), /^Bcc:/im);
+  });
+});
+
+describe('time limits', () => {
+  let server;
+  const sockets = new Set();
+
+  // Accepts connections and never sends the SMTP greeting
+  before(async () => {
+    server = net.createServer(socket => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    for (const socket of sockets) socket.destroy();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  it('gives up on a server that does not answer', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: server.address().port, timeoutMs: 200 });
+
+    const startedAt = Date.now();
+    const delivery = await deliverWithRetry(transport, MESSAGE, { attempts: 1 });
+
+    assert.equal(delivery.status, 'failed');
+    assert.ok(Date.now() - startedAt < 2000);
+  });
+
+  it('keeps all attempts within the budget', async () => {
+    let calls = 0;
+    const hanging = {
+      name: 'hanging',
+      send() {
+        calls++;
+        return new Promise(() => {});
+      }
+    };
+
+    const startedAt = Date.now();
+    const delivery = await deliverWithRetry(hanging, MESSAGE, { attempts: 3, baseDelayMs: 50, budgetMs: 150 });
+    const elapsedMs = Date.now() - startedAt;
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(calls, 1);
+    assert.match(delivery.error, /timed out/);
+    assert.ok(elapsedMs < 400, `took ${elapsedMs} ms`);
+  });
+});
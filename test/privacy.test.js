@@ -0,0 +1,237 @@
+/**
+ * Data-subject requests: every request is answered alike and emails the
+ * address (a confirmation link only when data exists), the emailed link only
+ * shows a confirmation page, the POST from that page carries out the request
+ * once, and submissions merged into another person's lead are exported and
+ * erased without the rest of it.
+ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadConfig } from '../lib/leads/config.js';
+import { createLeadStore, createMemoryBackend } from '../lib/leads/store/index.js';
+import {
+  createMemoryAuditLog,
+  createPrivacyConfirmPipeline,
+  createPrivacyRequestPipeline,
+  eraseLeads,
+  exportLeads,
+  hashSubject,
+  issuePrivacyToken
+} from '../lib/leads/privacy/index.js';
+
+const CONFIG = {
+  hashSecret: 'test-hash-secret',
+  officeEmail: 'contact@flightservice365.com',
+  privacy: { tokenSecret: 'test-privacy-secret', tokenTtlMinutes: 60, erasureMode: 'delete' }
+};
+
+function tokenFor(email, action) {
+  return issuePrivacyToken({ email, action }, CONFIG.privacy.tokenSecret, CONFIG.privacy.tokenTtlMinutes);
+}
+
+function formPost(token) {
+  return {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    query: {},
+    body: new URLSearchParams({ token }).toString()
+  };
+}
+
+function jsonPost(token) {
+  return {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', accept: 'application/json' },
+    query: {},
+    body: JSON.stringify({ token })
+  };
+}
+
+async function createLeads(store) {
+  await store.create({
+    id: 'lead_1700000000000_erikaown1',
+    formType: 'contact',
+    name: 'Erika Muster',
+    email: 'erika@example.com',
+    phone: '+49 171 1234567',
+    timestamp: '2026-01-10T09:00:00.000Z'
+  }, {
+    interaction: { at: '2026-01-10T09:00:00.000Z', formType: 'contact', source: 'direct', fields: { name: 'Erika Muster', email: 'erika@example.com' } }
+  });
+
+  const max = await store.create({
+    id: 'lead_1700000000000_maxowner1',
+    formType: 'contact',
+    name: 'Max Mustermann',
+    email: 'max@example.com',
+    phone: '+49 171 7654321',
+    timestamp: '2026-01-11T09:00:00.000Z'
+  }, {
+    interaction: { at: '2026-01-11T09:00:00.000Z', formType: 'contact', source: 'direct', fields: { name: 'Max Mustermann', email: 'max@example.com' } }
+  });
+
+  // Erika once wrote from Max's phone number and was merged into his lead,
+  // as phone matches did before they required matching email addresses
+  await store.addInteraction(max.id, {
+    at: '2026-01-12T09:00:00.000Z',
+    formType: 'contact',
+    source: 'direct',
+    fields: { name: 'Erika Muster', email: 'erika@example.com', message: 'Frage zum PPL', consent: { version: '2024-01' } }
+  });
+}
+
+describe('privacy request', () => {
+  let store;
+  let messages;
+  let pipeline;
+
+  beforeEach(async () => {
+    store = createLeadStore(createMemoryBackend());
+    messages = [];
+    const unlimited = { async hit() { return { allowed: true, retryAfter: 0 }; } };
+    pipeline = createPrivacyRequestPipeline({
+      config: loadConfig({
+        LEAD_STORE: 'memory',
+        LEAD_HASH_SECRET: CONFIG.hashSecret,
+        PRIVACY_TOKEN_SECRET: CONFIG.privacy.tokenSecret,
+        LOG_LEVEL: 'silent'
+      }),
+      store,
+      auditLog: createMemoryAuditLog({ secret: CONFIG.hashSecret }),
+      rateLimiters: { ip: unlimited, email: unlimited },
+      mailTransport: {
+        name: 'test',
+        async send(message) {
+          messages.push(message);
+          return { messageId: `<${messages.length}@test>` };
+        }
+      }
+    });
+    await createLeads(store);
+  });
+
+  const request = email => ({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    query: {},
+    body: JSON.stringify({ email, action: 'export' }),
+    ip: '192.0.2.1'
+  });
+
+  it('emails known and unknown addresses alike, with a link only for stored data', async () => {
+    const known = await pipeline.process(request('erika@example.com'));
+    const unknown = await pipeline.process(request('nobody@example.com'));
+
+    assert.deepEqual(unknown, known);
+    assert.equal(known.statusCode, 202);
+
+    assert.deepEqual(messages.map(message => message.to), ['erika@example.com', 'nobody@example.com']);
+    assert.match(messages[0].text, /\/api\/privacy-confirm\?token=/);
+    assert.doesNotMatch(messages[1].text, /privacy-confirm/);
+    assert.match(messages[1].text, /keine Daten gespeichert/);
+  });
+});
+
+describe('privacy confirmation', () => {
+  let store;
+  let auditLog;
+  let pipeline;
+
+  beforeEach(async () => {
+    store = createLeadStore(createMemoryBackend());
+    auditLog = createMemoryAuditLog({ secret: CONFIG.hashSecret });
+    pipeline = createPrivacyConfirmPipeline({ config: CONFIG, store, auditLog });
+    await createLeads(store);
+  });
+
+  it('only shows a confirmation page for the emailed link', async () => {
+    const token = tokenFor('erika@example.com', 'erase');
+    const response = await pipeline.process({ method: 'GET', headers: {}, query: { token } });
+
+    assert.equal(response.statusCode, 200);
+    assert.match(response.headers['Content-Type'], /^text\/html/);
+    assert.match(response.body, /<form method="post" action="\/api\/privacy-confirm">/);
+    assert.match(response.body, /name="token" value="[\w.-]+"/);
+    assert.ok(await store.get('lead_1700000000000_erikaown1'));
+    assert.equal((await auditLog.list()).length, 0);
+  });
+
+  it('erases on the posted confirmation and accepts each link once', async () => {
+    const token = tokenFor('erika@example.com', 'erase');
+
+    const confirmed = await pipeline.process(formPost(token));
+    assert.equal(confirmed.statusCode, 200);
+    assert.match(confirmed.body, /Ihre Daten wurden gelöscht/);
+    assert.equal(await store.get('lead_1700000000000_erikaown1'), null);
+
+    const repeated = await pipeline.process(formPost(token));
+    assert.equal(repeated.statusCode, 410);
+    await assert.rejects(pipeline.process(jsonPost(token)), { statusCode: 410 });
+
+    const page = await pipeline.process({ method: 'GET', headers: {}, query: { token } });
+    assert.equal(page.statusCode, 410);
+    assert.doesNotMatch(page.body, /<form/);
+
+    const confirmations = (await auditLog.list()).filter(entry => entry.event === 'confirmed');
+    assert.equal(confirmations.length, 1);
+    assert.doesNotMatch(JSON.stringify(confirmations), new RegExp(token.split('.')[1]));
+  });
+
+  it('rejects a forged token', async () => {
+    const token = `${tokenFor('erika@example.com', 'erase').split('.')[0]}.forged`;
+    await assert.rejects(pipeline.process(jsonPost(token)), { statusCode: 410 });
+    assert.ok(await store.get('lead_1700000000000_erikaown1'));
+  });
+});
+
+describe('merged submissions', () => {
+  let store;
+  let auditLog;
+
+  beforeEach(async () => {
+    store = createLeadStore(createMemoryBackend());
+    auditLog = createMemoryAuditLog({ secret: CONFIG.hashSecret });
+    await createLeads(store);
+  });
+
+  it('exports them without the lead they were merged into', async () => {
+    const data = await exportLeads({ store, auditLog, email: 'erika@example.com', via: 'cli' });
+
+    assert.deepEqual(data.leads.map(lead => lead.id), ['lead_1700000000000_erikaown1']);
+    assert.equal(data.interactions.length, 1);
+    assert.equal(data.interactions[0].fields.message, 'Frage zum PPL');
+    assert.doesNotMatch(JSON.stringify(data), /max@example\.com/);
+  });
+
+  it('pseudonymizes only the merged submission', async () => {
+    const result = await eraseLeads({ store, auditLog, email: 'erika@example.com', mode: 'pseudonymize', via: 'cli' });
+    assert.equal(result.erased, 1);
+    assert.equal(result.interactions, 1);
+
+    const max = await store.get('lead_1700000000000_maxowner1');
+    assert.equal(max.email, 'max@example.com');
+    assert.equal(max.interactions.length, 2);
+    assert.equal(max.interactions[0].fields.email, 'max@example.com');
+    assert.equal(max.interactions[1].pseudonymized, true);
+    assert.equal(max.interactions[1].fields, undefined);
+    assert.deepEqual(max.interactions[1].consent, { version: '2024-01' });
+    assert.doesNotMatch(JSON.stringify(max), /erika|Erika|PPL/);
+
+    assert.equal(max.interactions[1].subjectHash, hashSubject('erika@example.com', CONFIG.hashSecret));
+    assert.notEqual(max.interactions[1].subjectHash, hashSubject('erika@example.com', 'other-secret'));
+
+    // Still found after pseudonymization, so a later request can delete it
+    const again = await exportLeads({ store, auditLog, email: 'erika@example.com', via: 'cli' });
+    assert.equal(again.interactions.length, 1);
+  });
+
+  it('deletes only the merged submission', async () => {
+    await eraseLeads({ store, auditLog, email: 'erika@example.com', mode: 'delete', via: 'cli' });
+
+    const max = await store.get('lead_1700000000000_maxowner1');
+    assert.equal(max.interactions.length, 1);
+    assert.equal(max.interactions[0].fields.email, 'max@example.com');
+    assert.doesNotMatch(JSON.stringify(max), /erika|Erika|PPL/);
+  });
+});
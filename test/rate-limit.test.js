@@ -0,0 +1,123 @@
+/**
+ * Rate limiting: counts per key and window, keys reach the backend only as an
+ * HMAC, never as the address or its plain hash, the 429 response, and the
+ * file backend with the key it generates when LEAD_HASH_SECRET is not set.
+ */
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { handleLeadRequest } from '../lib/leads/http.js';
+import { createPipeline } from '../lib/leads/pipeline.js';
+import {
+  createFileRateLimitBackend,
+  createRateLimiter,
+  createRateLimitersFromConfig,
+  rateLimit
+} from '../lib/leads/rate-limit.js';
+
+const SILENT_LOGGER = {
+  child() {
+    return this;
+  },
+  error() {},
+  warn() {},
+  info() {},
+  debug() {}
+};
+
+// Backend remembering the keys it was given
+function createRecordingBackend() {
+  const counts = new Map();
+  return {
+    keys: () => [...counts.keys()],
+    async hit(key, windowMs, now = Date.now()) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return { count: counts.get(key), resetAt: now + windowMs };
+    }
+  };
+}
+
+describe('createRateLimiter', () => {
+  it('allows the configured number of hits per key', async () => {
+    const limiter = createRateLimiter({ backend: createRecordingBackend(), windowMs: 60000, limit: 2, secret: 'a' });
+
+    assert.equal((await limiter.hit('email:max@example.com')).allowed, true);
+    assert.equal((await limiter.hit('email:max@example.com')).allowed, true);
+    assert.equal((await limiter.hit('email:max@example.com')).allowed, false);
+    assert.equal((await limiter.hit('email:erika@example.com')).allowed, true);
+  });
+
+  it('stores keys as an HMAC of the secret', async () => {
+    const first = createRecordingBackend();
+    const second = createRecordingBackend();
+    await createRateLimiter({ backend: first, windowMs: 60000, limit: 5, secret: 'secret-one' }).hit('email:max@example.com');
+    await createRateLimiter({ backend: second, windowMs: 60000, limit: 5, secret: 'secret-two' }).hit('email:max@example.com');
+
+    const [key] = first.keys();
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.notEqual(key, crypto.createHash('sha256').update('email:max@example.com').digest('hex'));
+    assert.notEqual(key, second.keys()[0]);
+  });
+});
+
+describe('429 response', () => {
+  it('answers with a German error and Retry-After', async () => {
+    const limiter = createRateLimiter({ backend: createRecordingBackend(), windowMs: 90 * 1000, limit: 1, secret: 'a' });
+    const pipeline = createPipeline({
+      stages: [rateLimit(limiter, 'ip', ctx => ctx.request.ip)],
+      logger: SILENT_LOGGER
+    });
+    const request = { method: 'POST', headers: { 'content-type': 'application/json' }, query: {}, body: '{}', ip: '192.0.2.1' };
+    const cors = { reject: () => null, headersFor: () => ({}) };
+
+    // Use up the allowance of this address
+    await limiter.hit('ip:192.0.2.1');
+
+    const response = await handleLeadRequest(pipeline, request, { logger: SILENT_LOGGER, cors });
+    assert.equal(response.statusCode, 429);
+    assert.equal(response.headers['Retry-After'], '90');
+    assert.equal(response.body.error, 'Zu viele Anfragen. Bitte versuchen Sie es später erneut.');
+    assert.equal(response.body.retryAfter, 90);
+  });
+});
+
+describe('file backend', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'rate-limit-test-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('keeps counts across backend instances and resets them after the window', async () => {
+    const file = path.join(dir, 'rate-limits.json');
+    const now = Date.now();
+
+    await createFileRateLimitBackend({ file }).hit('key', 60000, now);
+    const second = await createFileRateLimitBackend({ file }).hit('key', 60000, now + 1000);
+    assert.deepEqual(second, { count: 2, resetAt: now + 60000 });
+
+    const nextWindow = await createFileRateLimitBackend({ file }).hit('key', 60000, now + 60000);
+    assert.equal(nextWindow.count, 1);
+  });
+
+  it('generates one key in the data directory without LEAD_HASH_SECRET', async () => {
+    const config = {
+      dataDir: dir,
+      hashSecret: null,
+      rateLimit: { store: 'file', windowMs: 60000, perIp: 1, perEmail: 1 }
+    };
+
+    // A new process (cold start) builds its limiters from scratch
+    assert.equal((await createRateLimitersFromConfig(config).email.hit('email:max@example.com')).allowed, true);
+    assert.equal((await createRateLimitersFromConfig(config).email.hit('email:max@example.com')).allowed, false);
+
+    const secret = await readFile(path.join(dir, 'rate-limit-secret'), 'utf8');
+    assert.match(secret, /^[0-9a-f]{64}$/);
+  });
+});
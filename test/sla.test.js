@@ -0,0 +1,109 @@
+/**
+ * Follow-up SLA: overdue detection at the SLA edge, the weekly compliance
+ * figures, and the jobs refusing to run on a lead store that only the current
+ * function instance can see.
+ */
+
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { assertSharedLeadStore, computeSlaStats, findOverdueLeads } from '../lib/leads/sla.js';
+import { loadConfig } from '../lib/leads/config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-03-16T07:00:00.000Z');
+
+const hoursBefore = hours => new Date(NOW - hours * HOUR_MS).toISOString();
+
+/**
+ * Lead that entered "new" `startedHoursAgo` before NOW and, with
+ * `answeredAfterHours`, was moved on that many hours later.
+ */
+function lead(id, startedHoursAgo, answeredAfterHours = null) {
+  const statusHistory = [{ from: null, to: 'new', at: hoursBefore(startedHoursAgo) }];
+  if (answeredAfterHours !== null) {
+    statusHistory.push({ from: 'new', to: 'contacted', at: hoursBefore(startedHoursAgo - answeredAfterHours) });
+  }
+  return { id, status: answeredAfterHours === null ? 'new' : 'contacted', statusHistory };
+}
+
+describe('findOverdueLeads', () => {
+  it('lists leads never answered within the SLA, oldest first', () => {
+    const leads = [lead('a', 30), lead('b', 72), lead('c', 2)];
+    const overdue = findOverdueLeads(leads, { slaHours: 24, now: NOW });
+
+    assert.deepEqual(overdue.map(item => item.id), ['b', 'a']);
+  });
+
+  it('counts a lead as overdue only once the SLA has passed', () => {
+    const atEdge = lead('edge', 24);
+    const justPast = { ...lead('past', 24), statusHistory: [{ from: null, to: 'new', at: new Date(NOW - 24 * HOUR_MS - 1).toISOString() }] };
+
+    assert.deepEqual(findOverdueLeads([atEdge, justPast], { slaHours: 24, now: NOW }).map(item => item.id), ['past']);
+  });
+
+  it('skips answered leads and leads that never entered new', () => {
+    const answered = lead('answered', 48, 30);
+    const quarantined = { id: 'quarantined', status: 'quarantine', statusHistory: [{ from: null, to: 'quarantine', at: hoursBefore(48) }] };
+    const legacy = { id: 'legacy', status: 'new' };
+
+    assert.deepEqual(findOverdueLeads([answered, quarantined, legacy], { slaHours: 24, now: NOW }), []);
+  });
+});
+
+describe('computeSlaStats', () => {
+  const from = new Date(NOW - 7 * 24 * HOUR_MS);
+  const to = NOW;
+
+  it('reports the weekly compliance percentage and average response time', () => {
+    const leads = [
+      lead('in-time-1', 100, 2),
+      lead('in-time-2', 90, 24),
+      lead('late', 80, 30),
+      lead('never-answered', 60),
+      lead('open', 5),
+      lead('last-week', 8 * 24, 1)
+    ];
+
+    const stats = computeSlaStats(leads, { slaHours: 24, from, to, now: NOW });
+
+    assert.deepEqual(stats, {
+      total: 5,
+      answeredInTime: 2,
+      answeredLate: 1,
+      overdue: 1,
+      openWithinSla: 1,
+      complianceRate: 50,
+      averageResponseHours: 18.7
+    });
+  });
+
+  it('rounds the compliance rate to one decimal', () => {
+    const leads = [lead('a', 50, 1), lead('b', 50, 1), lead('c', 50)];
+    assert.equal(computeSlaStats(leads, { slaHours: 24, from, to, now: NOW }).complianceRate, 66.7);
+  });
+
+  it('has no compliance rate while no deadline has passed', () => {
+    const stats = computeSlaStats([lead('open', 3)], { slaHours: 24, from, to, now: NOW });
+
+    assert.equal(stats.total, 1);
+    assert.equal(stats.complianceRate, null);
+    assert.equal(stats.averageResponseHours, null);
+  });
+});
+
+describe('assertSharedLeadStore', () => {
+  it('rejects the default file store in the temp directory', () => {
+    assert.throws(() => assertSharedLeadStore(loadConfig({})), /LEAD_DATA_DIR/);
+    assert.throws(() => assertSharedLeadStore(loadConfig({ LEAD_DATA_DIR: path.join(os.tmpdir(), 'leads') })), /cannot see/);
+  });
+
+  it('rejects the memory store', () => {
+    assert.throws(() => assertSharedLeadStore(loadConfig({ LEAD_STORE: 'memory', LEAD_DATA_DIR: '/var/lib/flugschule' })), /LEAD_STORE=memory/);
+  });
+
+  it('accepts a file store outside the temp directory', () => {
+    assert.doesNotThrow(() => assertSharedLeadStore(loadConfig({ LEAD_DATA_DIR: '/var/lib/flugschule' })));
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Gibberish heuristic: names and words with diacritics or non-decomposing
+ * vowels (Polish, Scandinavian, Czech) and non-Latin scripts are not scored
+ * as random letter strings; keyboard mashing still is.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { gibberishRule, looksLikeGibberish } from '../lib/leads/spam/rules.js';
+
+describe('looksLikeGibberish', () => {
+  it('accepts names whose vowels carry diacritics', () => {
+    for (const name of ['Szczęsny', 'Grzegorz Brzęczyszczykiewicz', 'Łukasz Wróblewski', 'Dvořák Šťastný', 'Jürgen Müller']) {
+      assert.equal(looksLikeGibberish(name), false, name);
+    }
+  });
+
+  it('accepts vowels that do not decompose and decomposed input', () => {
+    assert.equal(looksLikeGibberish('Søren Kierkegaard'), false);
+    assert.equal(looksLikeGibberish('Åsa Ødegård'), false);
+    assert.equal(looksLikeGibberish('Szczęsny'.normalize('NFD')), false);
+  });
+
+  it('does not apply the vowel checks to other scripts', () => {
+    assert.equal(looksLikeGibberish('Щербаков Пётр'), false);
+    assert.equal(looksLikeGibberish('Παπαδόπουλος'), false);
+  });
+
+  it('flags consonant runs and alternating case', () => {
+    assert.equal(looksLikeGibberish('xkcdqwrtz pplkjhgf'), true);
+    assert.equal(looksLikeGibberish('kJhGfDsA'), true);
+  });
+});
+
+describe('gibberishRule', () => {
+  it('scores each field with random letters', async () => {
+    const rule = gibberishRule();
+
+    assert.equal(await rule({ name: 'Szczęsny', message: 'Ich möchte die PPL-Ausbildung beginnen.' }), null);
+    assert.deepEqual(await rule({ name: 'qwrtzpsdfg', message: 'Ich möchte die PPL-Ausbildung beginnen.' }), { score: 2, reason: 'gibberish:name' });
+  });
+});
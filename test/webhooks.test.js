@@ -0,0 +1,216 @@
+/**
+ * Outbound webhooks against a local HTTP stand-in: signature format, retries
+ * with backoff, the time budget of a dispatch, dead letters once every attempt
+ * has failed and their replay.
+ */
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { createLeadStore, createMemoryBackend } from '../lib/leads/store/index.js';
+import {
+  createMemoryDeadLetterStore,
+  deliverWebhook,
+  dispatchWebhooks,
+  replayDeadLetters,
+  signWebhook
+} from '../lib/leads/webhooks.js';
+
+const SECRET = 'test-webhook-secret';
+const RETRY = { attempts: 3, baseDelayMs: 1, timeoutMs: 1000 };
+const SILENT_LOG = { error() {}, warn() {}, info() {} };
+
+// Receiver side of the signature scheme, as documented in webhooks.js
+function verifySignature(header, body, secret) {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+describe('signWebhook', () => {
+  it('signs the timestamp and raw body', () => {
+    const body = '{"event":"lead.contact"}';
+    const header = signWebhook(body, SECRET, 1700000000);
+
+    assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+    assert.ok(verifySignature(header, body, SECRET));
+    assert.ok(!verifySignature(header, `${body} `, SECRET));
+    assert.ok(!verifySignature(header, body, 'other-secret'));
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  let url;
+  let requests;
+  let statuses;
+  let delayMs;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body });
+        const statusCode = statuses.shift() ?? 200;
+        setTimeout(() => {
+          res.statusCode = statusCode;
+          res.end();
+        }, delayMs);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  beforeEach(() => {
+    requests = [];
+    statuses = [];
+    delayMs = 0;
+  });
+
+  it('posts a signed JSON payload', async () => {
+    const payload = { id: 'whd_1', event: 'lead.contact', lead: { id: 'lead_1' } };
+    const result = await deliverWebhook({ url: `${url}/hook`, secret: SECRET }, payload, RETRY);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(result.attempts, 1);
+    assert.equal(requests.length, 1);
+
+    const [request] = requests;
+    assert.equal(request.path, '/hook');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-flugschule-event'], 'lead.contact');
+    assert.equal(request.headers['x-flugschule-delivery'], 'whd_1');
+    assert.deepEqual(JSON.parse(request.body), payload);
+    assert.ok(verifySignature(request.headers['x-flugschule-signature'], request.body, SECRET));
+  });
+
+  it('retries until the target accepts the delivery', async () => {
+    statuses = [500, 503];
+    const result = await deliverWebhook({ url, secret: SECRET }, { id: 'whd_2', event: 'lead.contact' }, RETRY);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(result.attempts, 3);
+    assert.equal(requests.length, 3);
+    assert.equal(new Set(requests.map(request => request.headers['x-flugschule-delivery'])).size, 1);
+  });
+
+  it('reports the last error after the final attempt', async () => {
+    statuses = [500, 500, 502];
+    const result = await deliverWebhook({ url, secret: SECRET }, { id: 'whd_3', event: 'lead.contact' }, RETRY);
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.attempts, 3);
+    assert.equal(result.error, 'HTTP 502');
+  });
+
+  it('dead-letters a failed delivery without the target URL', async () => {
+    statuses = [500, 500, 500];
+    const store = createLeadStore(createMemoryBackend());
+    const deadLetters = createMemoryDeadLetterStore();
+    const lead = await store.create({ id: 'lead_1700000000000_webhook1', formType: 'charter', name: 'Max', email: 'max@example.com', ip: '192.0.2.1' });
+    const secretUrl = `${url}/hooks/T000/B000/XXXXXXXX`;
+
+    const dispatch = dispatchWebhooks({
+      targets: [
+        { url: secretUrl, name: 'chat', secret: SECRET, events: ['lead.charter'] },
+        { url: secretUrl, name: 'crm', secret: SECRET, events: ['lead.contact'] }
+      ],
+      deadLetters,
+      store,
+      retry: RETRY
+    });
+    await dispatch(lead, { log: SILENT_LOG });
+
+    assert.equal(requests.length, 3);
+    assert.equal(JSON.parse(requests[0].body).lead.ip, undefined);
+
+    const [letter] = await deadLetters.list();
+    assert.equal(letter.target, 'chat');
+    assert.equal(letter.event, 'lead.charter');
+    assert.equal(letter.attempts, 3);
+    assert.equal(letter.lastError, 'HTTP 500');
+    assert.doesNotMatch(JSON.stringify(letter), /XXXXXXXX/);
+
+    const { deliveries } = await store.get(lead.id);
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].status, 'failed');
+    assert.equal(deliveries[0].target, 'chat');
+    assert.doesNotMatch(JSON.stringify(deliveries), /XXXXXXXX/);
+  });
+
+  it('posts to all targets in parallel within the time budget', async () => {
+    delayMs = 300;
+    const store = createLeadStore(createMemoryBackend());
+    const deadLetters = createMemoryDeadLetterStore();
+    const lead = await store.create({ id: 'lead_1700000000000_webhook2', formType: 'contact', email: 'max@example.com' });
+
+    const dispatch = dispatchWebhooks({
+      targets: ['crm', 'chat', 'sheet'].map(name => ({ url: `${url}/${name}`, name, secret: SECRET })),
+      deadLetters,
+      store,
+      retry: { attempts: 3, baseDelayMs: 1, timeoutMs: 150, budgetMs: 250 }
+    });
+
+    const startedAt = Date.now();
+    await dispatch(lead, { log: SILENT_LOG });
+    const elapsedMs = Date.now() - startedAt;
+
+    assert.ok(elapsedMs < 500, `took ${elapsedMs} ms`);
+    assert.equal(new Set(requests.map(request => request.path)).size, 3);
+
+    const letters = await deadLetters.list();
+    assert.deepEqual(letters.map(letter => letter.target).sort(), ['chat', 'crm', 'sheet']);
+    for (const letter of letters) {
+      assert.ok(letter.attempts >= 1 && letter.attempts < 3);
+    }
+  });
+
+  it('replays dead letters and keeps the ones that still fail', async () => {
+    const store = createLeadStore(createMemoryBackend());
+    const deadLetters = createMemoryDeadLetterStore();
+    const lead = await store.create({ id: 'lead_1700000000000_webhook3', formType: 'contact', email: 'max@example.com' });
+    const targets = [
+      { url: `${url}/crm`, name: 'crm', secret: SECRET },
+      { url: `${url}/chat`, name: 'chat', secret: SECRET }
+    ];
+    const letter = (deliveryId, target) => ({
+      deliveryId,
+      target,
+      event: 'lead.contact',
+      payload: { id: deliveryId, event: 'lead.contact', lead: { id: lead.id } },
+      attempts: 3,
+      lastError: 'HTTP 500',
+      failedAt: '2026-01-10T09:00:00.000Z'
+    });
+    await deadLetters.add(letter('whd_replay_1', 'crm'));
+    await deadLetters.add(letter('whd_replay_2', 'chat'));
+    await deadLetters.add(letter('whd_replay_3', 'removed'));
+
+    statuses = [200, 500];
+    const result = await replayDeadLetters({ targets, deadLetters, store, retry: { attempts: 1 } });
+
+    assert.deepEqual(result, { sent: 1, failed: 1, skipped: 1 });
+    assert.deepEqual(requests.map(request => request.headers['x-flugschule-delivery']), ['whd_replay_1', 'whd_replay_2']);
+
+    const remaining = await deadLetters.list();
+    assert.deepEqual(remaining.map(entry => entry.deliveryId).sort(), ['whd_replay_2', 'whd_replay_3']);
+    assert.equal(remaining.find(entry => entry.deliveryId === 'whd_replay_2').attempts, 4);
+
+    const { deliveries } = await store.get(lead.id);
+    assert.deepEqual(deliveries.map(delivery => [delivery.deliveryId, delivery.status, delivery.replay]), [
+      ['whd_replay_1', 'sent', true],
+      ['whd_replay_2', 'failed', true]
+    ]);
+  });
+});
@@ -1,6 +1,7 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
 import { copyFileSync, existsSync } from 'fs'
+import { createFunctionsMiddleware } from './lib/dev/functions.js'
 
 export default defineConfig({
   root: 'src',
@@ -84,6 +85,18 @@ export default defineConfig({
     }
   },
   plugins: [
+    {
+      // Run /api/* and /.netlify/functions/* with the real handlers during `npm run dev`
+      name: 'serverless-functions',
+      apply: 'serve',
+      configureServer(server) {
+        server.middlewares.use(createFunctionsMiddleware({
+          root: __dirname,
+          platform: process.env.FUNCTIONS_PLATFORM || 'vercel',
+          load: file => server.ssrLoadModule(file)
+        }))
+      }
+    },
     {
       name: 'copy-seo-files',
       writeBundle() {